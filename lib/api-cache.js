@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * On-disk cache of osu! API responses, one JSON file per beatmap ID:
+ * `{ beatmap: { fetchedAt, data }, scores: { fetchedAt, data } }`.
+ * `fetchedAt` is a ms timestamp; entries older than the caller's TTL are misses.
+ * With `readOnly` (dry runs), new responses are kept in memory.
+ */
+export function createApiCache(dir, { readOnly = false } = {}) {
+  const entryPath = id => path.join(dir, `${id}.json`);
+  const unsaved = new Map();
+
+  function read(id) {
+    if (unsaved.has(id)) return unsaved.get(id);
+    try {
+      return JSON.parse(fs.readFileSync(entryPath(id), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  function write(id, kind, data) {
+    const entry = read(id);
+    entry[kind] = { fetchedAt: Date.now(), data };
+    if (readOnly) {
+      unsaved.set(id, entry);
+      return;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(entryPath(id), JSON.stringify(entry));
+  }
+
+  return {
+    // Returns cached data of `kind` ('beatmap' | 'scores') if younger than maxAgeMs, else null
+    get(id, kind, maxAgeMs = Infinity) {
+      const hit = read(id)[kind];
+      if (!hit || Date.now() - hit.fetchedAt > maxAgeMs) return null;
+      return hit.data;
+    },
+
+    put(id, kind, data) {
+      write(id, kind, data);
+    },
+
+    // Timestamp of the last fetch of `kind`, 0 if never fetched
+    fetchedAt(id, kind) {
+      return read(id)[kind]?.fetchedAt || 0;
+    },
+  };
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// ── Audit Log ─────────────────────────────────────────────────────────────────
+
+// Events: added, best-changed, fc-combo, fc-replay, moved, deleted, beatmap-updated, unranked, repaired, error
+export const AUDIT_HEADER = ['Timestamp', 'Run ID', 'Command', 'Mode', 'Beatmap ID', 'Event', 'Details'];
+
+/**
+ * Records every change the tracker makes to a map, so "why did this map
+ * disappear?" has an answer. Entries are buffered and appended on `flush()`,
+ * either to the `sheet` of `store` or, when `filePath` is given, as JSON lines
+ * to that file. `begin(command)` starts a new run ID; the daemon calls it per job.
+ * Created without a destination (dry runs), it records nothing.
+ */
+export function createAuditLog({ store = null, sheet = 'Audit', filePath = null, mode = '' } = {}) {
+  const enabled = !!(store || filePath);
+  const pending = [];
+  let command = '';
+  let runId = '';
+  let nextRow = null;
+
+  async function appendToSheet(rows) {
+    if (nextRow === null) {
+      await store.ensureSheet(sheet, AUDIT_HEADER);
+      nextRow = (await store.lastRow(sheet, 1)) + 1;
+    }
+    await store.ensureRows(sheet, nextRow + rows.length - 1);
+    await store.set(sheet, nextRow, 1, rows);
+    nextRow += rows.length;
+  }
+
+  function appendToFile(rows) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const lines = rows.map(row => JSON.stringify(Object.fromEntries(AUDIT_HEADER.map((key, i) => [key, row[i]]))));
+    fs.appendFileSync(filePath, lines.join('\n') + '\n');
+  }
+
+  return {
+    get enabled() { return enabled; },
+    get runId() { return runId; },
+
+    begin(runCommand) {
+      command = runCommand;
+      runId = crypto.randomBytes(4).toString('hex');
+    },
+
+    record(event, beatmapId, details = '') {
+      if (!enabled) return;
+      pending.push([new Date().toISOString(), runId, command, mode, String(beatmapId ?? ''), event, details]);
+    },
+
+    async flush() {
+      if (!pending.length) return;
+      const rows = pending.splice(0);
+      try {
+        if (filePath) appendToFile(rows);
+        else await appendToSheet(rows);
+      } catch (err) {
+        pending.unshift(...rows);
+        console.warn('Could not write audit log:', err.errors?.[0]?.message || err.message);
+      }
+    },
+  };
+}
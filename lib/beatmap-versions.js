@@ -0,0 +1,43 @@
+import { readJsonFile, writeJsonFile } from './json-file.js';
+
+/**
+ * The version of each beatmap the tracker last saw, keyed by beatmap ID, so
+ * refresh can tell what changed without depending on the API cache. Entries
+ * look like `{ file_md5, approved, last_update }`. Changes are written by
+ * save(), which refresh calls once per batch; with `readOnly` (dry runs) they
+ * stay in memory.
+ */
+export function createBeatmapVersions(filePath, { readOnly = false } = {}) {
+  let entries = null;
+  let dirty = false;
+
+  function load() {
+    if (!entries) entries = readJsonFile(filePath, {});
+    return entries;
+  }
+
+  return {
+    get(beatmapID) {
+      return load()[beatmapID] || null;
+    },
+
+    // beatmap: a get_beatmaps entry
+    set(beatmapID, { file_md5, approved, last_update }) {
+      load()[beatmapID] = { file_md5, approved, last_update };
+      dirty = true;
+    },
+
+    // Once the map has left Data
+    remove(beatmapID) {
+      if (!(beatmapID in load())) return;
+      delete entries[beatmapID];
+      dirty = true;
+    },
+
+    save() {
+      if (!dirty || readOnly) return;
+      writeJsonFile(filePath, entries);
+      dirty = false;
+    },
+  };
+}
@@ -0,0 +1,444 @@
+// osu!standard .osu parser: hit objects with slider paths, ticks and stacking
+// resolved, in the same coordinate space and timing the game uses.
+
+// ── Mods ──────────────────────────────────────────────────────────────────────
+
+export const MOD = { NF: 1, EZ: 2, TD: 4, HD: 8, HR: 16, SD: 32, DT: 64, HT: 256, NC: 512, FL: 1024, SO: 4096, PF: 16384 };
+
+export function clockRate(mods) {
+  if (mods & (MOD.DT | MOD.NC)) return 1.5;
+  if (mods & MOD.HT) return 0.75;
+  return 1;
+}
+
+// Map-time difficulty values after EZ/HR; DT/HT are left to the caller via clockRate()
+export function applyDifficultyMods(difficulty, mods) {
+  const d = { ...difficulty };
+  if (mods & MOD.HR) {
+    d.cs = Math.min(10, d.cs * 1.3);
+    d.ar = Math.min(10, d.ar * 1.4);
+    d.od = Math.min(10, d.od * 1.4);
+    d.hp = Math.min(10, d.hp * 1.4);
+  } else if (mods & MOD.EZ) {
+    d.cs /= 2;
+    d.ar /= 2;
+    d.od /= 2;
+    d.hp /= 2;
+  }
+  return d;
+}
+
+export function difficultyRange(value, min, mid, max) {
+  if (value > 5) return mid + (max - mid) * (value - 5) / 5;
+  if (value < 5) return mid - (mid - min) * (5 - value) / 5;
+  return mid;
+}
+
+export const preemptFor   = ar => difficultyRange(ar, 1800, 1200, 450);
+export const radiusFor    = cs => 32 * (1 - 0.7 * (cs - 5) / 5);
+export const hitWindowsFor = od => ({ 300: 80 - 6 * od, 100: 140 - 8 * od, 50: 200 - 10 * od });
+
+// ── Vector Helpers ────────────────────────────────────────────────────────────
+
+const dist  = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const lerp  = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+const same  = (a, b) => a.x === b.x && a.y === b.y;
+
+// ── Slider Paths ──────────────────────────────────────────────────────────────
+
+const BEZIER_SAMPLES = 50;
+const CIRCLE_TOLERANCE = 0.1;
+const CATMULL_SAMPLES = 50;
+
+function bezierPoint(points, t) {
+  const p = points.map(q => ({ ...q }));
+  for (let k = p.length - 1; k > 0; k--) {
+    for (let i = 0; i < k; i++) p[i] = lerp(p[i], p[i + 1], t);
+  }
+  return p[0];
+}
+
+function approximateBezier(points) {
+  if (points.length < 2) return points.slice();
+  const out = [];
+  for (let i = 0; i <= BEZIER_SAMPLES; i++) out.push(bezierPoint(points, i / BEZIER_SAMPLES));
+  return out;
+}
+
+// Splits a control point list into segments at repeated ("red") anchors
+function bezierSegments(points) {
+  const segments = [];
+  let current = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    if (same(points[i], points[i - 1])) {
+      segments.push(current);
+      current = [points[i]];
+    } else {
+      current.push(points[i]);
+    }
+  }
+  segments.push(current);
+  return segments.filter(s => s.length > 1);
+}
+
+function approximateCircle(a, b, c) {
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  if (Math.abs(d) < 1e-6) return null; // collinear
+  const aSq = a.x * a.x + a.y * a.y, bSq = b.x * b.x + b.y * b.y, cSq = c.x * c.x + c.y * c.y;
+  const centre = {
+    x: (aSq * (b.y - c.y) + bSq * (c.y - a.y) + cSq * (a.y - b.y)) / d,
+    y: (aSq * (c.x - b.x) + bSq * (a.x - c.x) + cSq * (b.x - a.x)) / d,
+  };
+  const r = dist(a, centre);
+  const thetaStart = Math.atan2(a.y - centre.y, a.x - centre.x);
+  let thetaEnd = Math.atan2(c.y - centre.y, c.x - centre.x);
+  while (thetaEnd < thetaStart) thetaEnd += 2 * Math.PI;
+
+  let dir = 1;
+  let thetaRange = thetaEnd - thetaStart;
+  // Go the other way round if b is not on the arc from a to c
+  const orthoAtoC = { x: c.y - a.y, y: -(c.x - a.x) };
+  if (orthoAtoC.x * (b.x - a.x) + orthoAtoC.y * (b.y - a.y) < 0) {
+    dir = -1;
+    thetaRange = 2 * Math.PI - thetaRange;
+  }
+
+  const amount = 2 * r <= CIRCLE_TOLERANCE ? 2 : Math.max(2, Math.ceil(thetaRange / (2 * Math.acos(1 - CIRCLE_TOLERANCE / r))));
+  const out = [];
+  for (let i = 0; i < amount; i++) {
+    const theta = thetaStart + dir * (i / (amount - 1)) * thetaRange;
+    out.push({ x: centre.x + Math.cos(theta) * r, y: centre.y + Math.sin(theta) * r });
+  }
+  return out;
+}
+
+function catmullPoint(p0, p1, p2, p3, t) {
+  const t2 = t * t, t3 = t2 * t;
+  const f = (a, b, c, d) => 0.5 * (2 * b + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (-a + 3 * b - 3 * c + d) * t3);
+  return { x: f(p0.x, p1.x, p2.x, p3.x), y: f(p0.y, p1.y, p2.y, p3.y) };
+}
+
+function approximateCatmull(points) {
+  const out = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = i > 0 ? points[i - 1] : points[i];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = i < points.length - 2 ? points[i + 2] : { x: 2 * p2.x - p1.x, y: 2 * p2.y - p1.y };
+    for (let s = 0; s < CATMULL_SAMPLES; s++) out.push(catmullPoint(p0, p1, p2, p3, s / CATMULL_SAMPLES));
+  }
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+function approximatePath(curveType, points) {
+  switch (curveType) {
+    case 'L': return points.slice();
+    case 'P':
+      if (points.length === 3) {
+        const arc = approximateCircle(...points);
+        if (arc) return arc;
+      }
+      break;
+    case 'C': return approximateCatmull(points);
+  }
+  const out = [];
+  for (const segment of bezierSegments(points)) {
+    const approx = segment.length === 2 ? segment : approximateBezier(segment);
+    if (out.length && same(out[out.length - 1], approx[0])) approx.shift();
+    out.push(...approx);
+  }
+  return out;
+}
+
+/**
+ * Builds a slider path cut (or extended) to the map's declared pixel length.
+ * Returns `{ length, positionAt(progress) }`, progress running 0..1 along one span.
+ */
+export function createSliderPath(curveType, controlPoints, pixelLength) {
+  const points = approximatePath(curveType, controlPoints);
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) cumulative.push(cumulative[i - 1] + dist(points[i - 1], points[i]));
+
+  let length = cumulative[cumulative.length - 1];
+  if (pixelLength > 0 && points.length > 1) {
+    if (length > pixelLength) {
+      while (cumulative.length > 2 && cumulative[cumulative.length - 2] >= pixelLength) {
+        cumulative.pop();
+        points.pop();
+      }
+    }
+    // Move the last point so the path is exactly pixelLength long
+    const i = points.length - 1;
+    const segment = cumulative[i] - cumulative[i - 1];
+    if (segment > 0) points[i] = lerp(points[i - 1], points[i], (pixelLength - cumulative[i - 1]) / segment);
+    cumulative[i] = pixelLength;
+    length = pixelLength;
+  }
+
+  function positionAt(progress) {
+    if (points.length === 1 || length === 0) return points[0];
+    const d = Math.min(Math.max(progress, 0), 1) * length;
+    let lo = 0, hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < d) lo = mid + 1; else hi = mid;
+    }
+    if (lo === 0) return points[0];
+    const segment = cumulative[lo] - cumulative[lo - 1];
+    return segment > 0 ? lerp(points[lo - 1], points[lo], (d - cumulative[lo - 1]) / segment) : points[lo];
+  }
+
+  return { length, positionAt };
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+const TYPE_CIRCLE = 1, TYPE_SLIDER = 2, TYPE_SPINNER = 8;
+const LEGACY_LAST_TICK_OFFSET = 36;
+const STACK_DISTANCE = 3;
+export const PLAYFIELD = { width: 512, height: 384 };
+
+function parseSections(text) {
+  const sections = {};
+  let current = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('//')) continue;
+    const header = /^\[(\w+)\]$/.exec(line);
+    if (header) {
+      current = sections[header[1]] = [];
+      continue;
+    }
+    if (current) current.push(line);
+  }
+  return sections;
+}
+
+function keyValues(lines = []) {
+  const out = {};
+  for (const line of lines) {
+    const i = line.indexOf(':');
+    if (i > 0) out[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return out;
+}
+
+function parseTimingPoints(lines = []) {
+  return lines.map(line => {
+    const [time, beatLength, , , , , uninherited] = line.split(',');
+    const bl = parseFloat(beatLength);
+    return {
+      time: parseFloat(time),
+      beatLength: bl,
+      uninherited: uninherited === undefined ? bl > 0 : uninherited === '1',
+    };
+  }).sort((a, b) => a.time - b.time);
+}
+
+function timingAt(timingPoints, time) {
+  let beatLength = timingPoints.find(t => t.uninherited)?.beatLength ?? 500;
+  let sv = 1;
+  for (const tp of timingPoints) {
+    if (tp.time > time) break;
+    if (tp.uninherited) {
+      beatLength = tp.beatLength;
+      sv = 1;
+    } else if (tp.beatLength < 0) {
+      sv = Math.min(10, Math.max(0.1, -100 / tp.beatLength));
+    }
+  }
+  return { beatLength, sv };
+}
+
+/**
+ * Parses an osu!standard beatmap. With `mods` set, HR flips positions and
+ * EZ/HR scale CS/AR/OD before stacking is applied.
+ * Returns `{ version, mode, difficulty, timingPoints, objects }`.
+ */
+export function parseBeatmap(text, mods = 0) {
+  const version = parseInt(/osu file format v(\d+)/.exec(text)?.[1]) || 14;
+  const sections = parseSections(text);
+  const general = keyValues(sections.General);
+  const diff = keyValues(sections.Difficulty);
+
+  const od = parseFloat(diff.OverallDifficulty ?? 5);
+  const baseDifficulty = {
+    hp: parseFloat(diff.HPDrainRate ?? 5),
+    cs: parseFloat(diff.CircleSize ?? 5),
+    od,
+    ar: parseFloat(diff.ApproachRate ?? od), // old maps have no AR, it follows OD
+    sliderMultiplier: parseFloat(diff.SliderMultiplier ?? 1.4),
+    sliderTickRate: parseFloat(diff.SliderTickRate ?? 1),
+  };
+  const difficulty = applyDifficultyMods(baseDifficulty, mods);
+  const stackLeniency = parseFloat(general.StackLeniency ?? 0.7);
+  const timingPoints = parseTimingPoints(sections.TimingPoints);
+  const offset = version < 5 ? 24 : 0; // stable shifts very old maps by 24 ms
+  const flip = (mods & MOD.HR) !== 0;
+  const fy = y => flip ? PLAYFIELD.height - y : y;
+
+  const objects = [];
+  for (const line of sections.HitObjects || []) {
+    const parts = line.split(',');
+    const x = parseFloat(parts[0]);
+    const y = fy(parseFloat(parts[1]));
+    const time = parseInt(parts[2]) + offset;
+    const type = parseInt(parts[3]);
+    const newCombo = (type & 4) !== 0;
+
+    if (type & TYPE_CIRCLE) {
+      objects.push({ kind: 'circle', time, endTime: time, x, y, newCombo });
+    } else if (type & TYPE_SLIDER) {
+      const [curveType, ...rest] = parts[5].split('|');
+      const controlPoints = [{ x, y }, ...rest.map(p => {
+        const [px, py] = p.split(':').map(Number);
+        return { x: px, y: fy(py) };
+      })];
+      const spans = Math.max(1, parseInt(parts[6]) || 1);
+      const pixelLength = parseFloat(parts[7]) || 0;
+      objects.push(buildSlider({ x, y, time, newCombo, curveType, controlPoints, spans, pixelLength }, difficulty, timingPoints, version));
+    } else if (type & TYPE_SPINNER) {
+      const endTime = parseInt(parts[5]) + offset;
+      objects.push({ kind: 'spinner', time, endTime: Math.max(endTime, time), x: 256, y: 192, newCombo: true });
+    }
+  }
+
+  applyStacking(objects, difficulty, stackLeniency, version);
+
+  return { version, mode: parseInt(general.Mode ?? 0), difficulty, baseDifficulty, timingPoints, objects };
+}
+
+function buildSlider(s, difficulty, timingPoints, version) {
+  const path = createSliderPath(s.curveType, s.controlPoints, s.pixelLength);
+  const { beatLength, sv } = timingAt(timingPoints, s.time);
+  const scoringDistance = 100 * difficulty.sliderMultiplier * sv;
+  const velocity = scoringDistance / beatLength; // px per ms
+  const spanDuration = path.length / velocity;
+  const duration = spanDuration * s.spans;
+  const endTime = s.time + duration;
+
+  // Old maps ignore SV for tick spacing
+  const tickDistance = scoringDistance / difficulty.sliderTickRate * (version < 8 ? 1 / sv : 1);
+  const minDistanceFromEnd = velocity * 10;
+
+  // Nested judgements after the head: ticks and repeats in time order, then the end
+  const nested = [];
+  for (let span = 0; span < s.spans; span++) {
+    const spanStart = s.time + span * spanDuration;
+    const reversed = span % 2 === 1;
+    const ticks = [];
+    if (tickDistance > 0 && path.length > 0) {
+      for (let d = tickDistance; d < path.length - minDistanceFromEnd; d += tickDistance) {
+        ticks.push(d / path.length);
+      }
+    }
+    if (reversed) ticks.reverse();
+    for (const p of ticks) {
+      const progress = reversed ? 1 - p : p;
+      nested.push({ kind: 'tick', time: spanStart + p * spanDuration, progress });
+    }
+    if (span < s.spans - 1) {
+      nested.push({ kind: 'repeat', time: spanStart + spanDuration, progress: reversed ? 0 : 1 });
+    }
+  }
+  const lastTick = Math.max(s.time + duration / 2, endTime - LEGACY_LAST_TICK_OFFSET);
+  nested.push({ kind: 'end', time: lastTick, progress: s.spans % 2 === 1 ? 1 : 0 });
+
+  // Ball position at a time during the slider
+  function ballAt(time) {
+    const elapsed = Math.min(Math.max(time - s.time, 0), duration);
+    const spanProgress = spanDuration > 0 ? elapsed / spanDuration : 0;
+    let span = Math.floor(spanProgress);
+    if (span >= s.spans) span = s.spans - 1;
+    const within = spanProgress - span;
+    return path.positionAt(span % 2 === 1 ? 1 - within : within);
+  }
+
+  const end = path.positionAt(s.spans % 2 === 1 ? 1 : 0);
+  return {
+    kind: 'slider', time: s.time, endTime, x: s.x, y: s.y, newCombo: s.newCombo,
+    spans: s.spans, pixelLength: s.pixelLength, velocity, spanDuration, path,
+    endX: end.x, endY: end.y, nested, ballAt,
+  };
+}
+
+// ── Stacking ──────────────────────────────────────────────────────────────────
+
+function endPosition(o) {
+  return o.kind === 'slider' ? { x: o.endX, y: o.endY } : { x: o.x, y: o.y };
+}
+
+function applyStacking(objects, difficulty, stackLeniency, version) {
+  for (const o of objects) o.stackHeight = 0;
+  const stackThreshold = preemptFor(difficulty.ar) * stackLeniency;
+  if (version >= 6) applyStackingNew(objects, stackThreshold);
+  else applyStackingOld(objects, stackThreshold);
+
+  const offset = -radiusFor(difficulty.cs) / 64 * 6.4;
+  for (const o of objects) {
+    o.stackOffset = o.stackHeight * offset;
+  }
+}
+
+function applyStackingNew(objects, stackThreshold) {
+  let extendedStartIndex = 0;
+  for (let i = objects.length - 1; i > 0; i--) {
+    let n = i;
+    let objectI = objects[i];
+    if (objectI.stackHeight !== 0 || objectI.kind === 'spinner') continue;
+
+    if (objectI.kind === 'circle') {
+      while (--n >= 0) {
+        const objectN = objects[n];
+        if (objectN.kind === 'spinner') continue;
+        if (objectI.time - objectN.endTime > stackThreshold) break;
+        if (n < extendedStartIndex) {
+          objectN.stackHeight = 0;
+          extendedStartIndex = n;
+        }
+        if (objectN.kind === 'slider' && dist(endPosition(objectN), objectI) < STACK_DISTANCE) {
+          const offset = objectI.stackHeight - objectN.stackHeight + 1;
+          for (let j = n + 1; j <= i; j++) {
+            if (dist(endPosition(objectN), objects[j]) < STACK_DISTANCE) objects[j].stackHeight -= offset;
+          }
+          break;
+        }
+        if (dist(objectN, objectI) < STACK_DISTANCE) {
+          objectN.stackHeight = objectI.stackHeight + 1;
+          objectI = objectN;
+        }
+      }
+    } else if (objectI.kind === 'slider') {
+      while (--n >= 0) {
+        const objectN = objects[n];
+        if (objectN.kind === 'spinner') continue;
+        if (objectI.time - objectN.time > stackThreshold) break;
+        if (dist(endPosition(objectN), objectI) < STACK_DISTANCE) {
+          objectN.stackHeight = objectI.stackHeight + 1;
+          objectI = objectN;
+        }
+      }
+    }
+  }
+}
+
+function applyStackingOld(objects, stackThreshold) {
+  for (let i = 0; i < objects.length; i++) {
+    const current = objects[i];
+    if (current.stackHeight !== 0 && current.kind !== 'slider') continue;
+    let startTime = current.endTime;
+    let sliderStack = 0;
+    for (let j = i + 1; j < objects.length; j++) {
+      if (objects[j].time - stackThreshold > startTime) break;
+      if (dist(objects[j], current) < STACK_DISTANCE) {
+        current.stackHeight++;
+        startTime = objects[j].endTime;
+      } else if (dist(objects[j], endPosition(current)) < STACK_DISTANCE) {
+        sliderStack++;
+        objects[j].stackHeight -= sliderStack;
+        startTime = objects[j].endTime;
+      }
+    }
+  }
+}
@@ -0,0 +1,79 @@
+// ── Mod Categories ────────────────────────────────────────────────────────────
+
+// Extra lists of ranked maps nobody has FC'd with at least a given set of mods
+// ("no HDDT FC"). Each category has its own Data/History pair per mode, so a map
+// can stay on the DT list long after its nomod FC moved it off the main one.
+//
+// get_scores' `mods` filter only matches an exact combination, so each category
+// queries the combinations its FCs usually come in, on top of the unfiltered
+// leaderboard; the results are merged and anything without the required mods
+// is dropped.
+
+const DT = 64, NC = 512, SD = 32, PF = 16384;
+
+/**
+ * label:   sheet name prefix ('DT Data', 'Taiko DT History', ...)
+ * mods:    mods every counted score must include
+ * queries: exact mod combinations requested from get_scores
+ */
+export const CATEGORIES = {
+  dt:     { key: 'dt',     name: 'DT/NC',  label: 'DT',     mods: 'DT',     queries: ['DT', 'HDDT', 'NC', 'HDNC'] },
+  hr:     { key: 'hr',     name: 'HR',     label: 'HR',     mods: 'HR',     queries: ['HR', 'HDHR'] },
+  fl:     { key: 'fl',     name: 'FL',     label: 'FL',     mods: 'FL',     queries: ['FL', 'HDFL'] },
+  hddthr: { key: 'hddthr', name: 'HDDTHR', label: 'HDDTHR', mods: 'HDDTHR', queries: ['HDDTHR', 'HDNCHR'] },
+};
+
+// NC and PF scores also carry the DT and SD bits, in the API and in filters
+export function normalizeMods(mask) {
+  if (mask & NC) mask |= DT;
+  if (mask & PF) mask |= SD;
+  return mask;
+}
+
+export function hasCategoryMods(mask, category) {
+  return (normalizeMods(mask) & category.mask) === category.mask;
+}
+
+function parseMods(modString, modBits) {
+  const acronyms = String(modString).toUpperCase().match(/.{1,2}/g) || [];
+  let mask = 0;
+  for (const mod of acronyms) {
+    if (!modBits[mod]) throw new Error(`Unknown mod "${mod}" in category "${modString}"`);
+    mask |= modBits[mod];
+  }
+  return normalizeMods(mask);
+}
+
+/**
+ * Resolves `--category`: a built-in key, or any mod combination (e.g. "HDHR"),
+ * which then queries that combination exactly and with HD. Returns null for
+ * no category (the main Data/History sheets).
+ */
+export function getCategory(name, modBits) {
+  if (!name) return null;
+  const key = String(name).toLowerCase();
+  const upper = key.toUpperCase();
+  const category = CATEGORIES[key] || {
+    key, name: upper, label: upper, mods: upper,
+    queries: upper.includes('HD') ? [upper] : [upper, `HD${upper}`],
+  };
+  const mask = parseMods(category.mods, modBits);
+  if (!mask) throw new Error(`Category "${name}" needs at least one mod`);
+  return { ...category, mask, queryMasks: category.queries.map(q => parseMods(q, modBits)) };
+}
+
+// The mode's settings with the category's sheets and a key for its state files
+export function withCategory(mode, category) {
+  if (!category) return { ...mode, category: null, trackKey: mode.key };
+  const sheet = kind => `${mode.sheetPrefix}${category.label} ${kind}`;
+  return {
+    ...mode,
+    category,
+    trackKey: `${mode.key}-${category.key}`,
+    name: `${mode.name} ${category.name}`,
+    dataSheet: sheet('Data'),
+    historySheet: sheet('History'),
+    statsSheet: sheet('Stats'),
+    unrankedSheet: sheet('Unranked'),
+  };
+}
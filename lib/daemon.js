@@ -0,0 +1,117 @@
+import { readJsonFile, writeJsonFile } from './json-file.js';
+
+// ── Daemon Scheduler ──────────────────────────────────────────────────────────
+
+/**
+ * Runs scheduled jobs one at a time until stopped. Each job is
+ * `{ name, due(jobState, states, now), run(jobState, states), retryMs }`; jobs
+ * keep their own bookkeeping (cursors, pass times) on `jobState`, which is
+ * persisted to `statePath` after every run so a restarted daemon picks up
+ * where it left off. `healthPath` gets a status snapshot with each job's last
+ * successful run and last error, for external monitoring.
+ *
+ * A failed job is not considered due again until `retryMs` has passed.
+ * `beforeJob(name)` is called before every run and `afterJob(name, error)` is
+ * awaited after it (error is null on success).
+ * `stop()` lets the running job finish, then resolves the promise returned by
+ * `start()`.
+ */
+export function createDaemon({ statePath, healthPath, jobs, pollMs = 60000, beforeJob = null, afterJob = null }) {
+  const state = readJsonFile(statePath, {});
+  state.jobs ??= {};
+  for (const job of jobs) state.jobs[job.name] ??= {};
+
+  const startedAt = new Date().toISOString();
+  let status = 'starting';
+  let currentJob = null;
+  let stopping = false;
+  let wake = null;
+
+  function writeHealth() {
+    const jobHealth = {};
+    for (const job of jobs) {
+      const s = state.jobs[job.name];
+      jobHealth[job.name] = {
+        lastRun: s.lastRun ?? null,
+        lastSuccess: s.lastSuccess ?? null,
+        lastError: s.lastError ?? null,
+        lastErrorAt: s.lastErrorAt ?? null,
+        consecutiveFailures: s.consecutiveFailures ?? 0,
+      };
+    }
+    writeJsonFile(healthPath, {
+      pid: process.pid, status, currentJob, startedAt, updatedAt: new Date().toISOString(), jobs: jobHealth,
+    }, { pretty: true });
+  }
+
+  function isDue(job, now) {
+    const s = state.jobs[job.name];
+    if (s.lastErrorAt && (s.lastSuccess ?? '') < s.lastErrorAt && now - Date.parse(s.lastErrorAt) < (job.retryMs ?? pollMs)) {
+      return false;
+    }
+    return job.due(s, state.jobs, now);
+  }
+
+  async function runJob(job) {
+    const s = state.jobs[job.name];
+    currentJob = job.name;
+    status = 'running';
+    s.lastRun = new Date().toISOString();
+    writeHealth();
+    console.log(`\n[${s.lastRun}] daemon: running ${job.name}`);
+    beforeJob?.(job.name);
+    let error = null;
+    try {
+      await job.run(s, state.jobs);
+      s.lastSuccess = new Date().toISOString();
+      s.consecutiveFailures = 0;
+    } catch (err) {
+      error = err;
+      s.lastError = err.message;
+      s.lastErrorAt = new Date().toISOString();
+      s.consecutiveFailures = (s.consecutiveFailures ?? 0) + 1;
+      console.error(`daemon: ${job.name} failed:`, err.message);
+    }
+    await afterJob?.(job.name, error);
+    currentJob = null;
+    status = 'idle';
+    writeJsonFile(statePath, state, { pretty: true });
+    writeHealth();
+  }
+
+  function pause(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      wake = () => { clearTimeout(timer); resolve(); };
+    });
+  }
+
+  return {
+    async start() {
+      status = 'idle';
+      writeHealth();
+      while (!stopping) {
+        for (const job of jobs) {
+          if (stopping) break;
+          if (isDue(job, Date.now())) await runJob(job);
+        }
+        if (!stopping) await pause(pollMs);
+      }
+      status = 'stopped';
+      writeHealth();
+    },
+
+    stop() {
+      stopping = true;
+      wake?.();
+    },
+
+    // Records an abrupt exit (e.g. a second interrupt) in the health file
+    abort() {
+      status = 'aborted';
+      writeHealth();
+    },
+
+    get stopping() { return stopping; },
+  };
+}
@@ -0,0 +1,548 @@
+import { parseBeatmap, clockRate, preemptFor, radiusFor, hitWindowsFor, MOD } from './beatmap.js';
+
+// ── osu!standard Difficulty and Performance ───────────────────────────────────
+
+// A port of osu!'s osu!standard difficulty and performance calculators as of the
+// September 2022 pp update: aim (with and without sliders), speed with rhythm
+// complexity, and flashlight. osu! has reworked them since, so star ratings and
+// pp can differ somewhat from the website's; they are meant for comparing maps
+// with each other under the mods of an attempt.
+
+const SECTION_LENGTH = 400;
+const DIFFICULTY_MULTIPLIER = 0.0675;
+const NORMALISED_RADIUS = 50;
+const MIN_DELTA_TIME = 25;
+const MAXIMUM_SLIDER_RADIUS = NORMALISED_RADIUS * 2.4;
+const ASSUMED_SLIDER_RADIUS = NORMALISED_RADIUS * 1.8;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const lerp = (a, b, t) => a + (b - a) * t;
+const length = v => Math.hypot(v.x, v.y);
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+
+function stackedPosition(o) {
+  return { x: o.x + o.stackOffset, y: o.y + o.stackOffset };
+}
+
+function stackedAt(slider, progress) {
+  const p = slider.path.positionAt(progress);
+  return { x: p.x + slider.stackOffset, y: p.y + slider.stackOffset };
+}
+
+// ── Difficulty Objects ────────────────────────────────────────────────────────
+
+// Where a cursor that follows the slider as lazily as possible ends up, and how
+// far it travels on the way; cached on the slider
+function lazySlider(slider, radius) {
+  if (slider.lazy) return slider.lazy;
+  // In time order, as osu! walks them: the end sits 36ms early, so the last tick
+  // can come after it and is then what the cursor tracks to
+  const nestedObjects = [...slider.nested].sort((a, b) => a.time - b.time);
+  const travelTime = nestedObjects[nestedObjects.length - 1].time - slider.time;
+  let endProgress = travelTime / slider.spanDuration;
+  endProgress = endProgress % 2 >= 1 ? 1 - endProgress % 1 : endProgress % 1;
+
+  let endPosition = stackedAt(slider, endProgress);
+  let cursor = stackedPosition(slider);
+  let travelDistance = 0;
+  const scalingFactor = NORMALISED_RADIUS / radius;
+
+  nestedObjects.forEach((nested, i) => {
+    const isTail = i === nestedObjects.length - 1;
+    let movement = sub(stackedAt(slider, nested.progress), cursor);
+    let movementLength = scalingFactor * length(movement);
+    let requiredMovement = ASSUMED_SLIDER_RADIUS;
+    if (isTail) {
+      const lazyMovement = sub(endPosition, cursor);
+      if (length(lazyMovement) < length(movement)) movement = lazyMovement;
+      movementLength = scalingFactor * length(movement);
+    } else if (nested.kind === 'repeat') {
+      requiredMovement = NORMALISED_RADIUS;
+    }
+    if (movementLength > requiredMovement) {
+      const ratio = (movementLength - requiredMovement) / movementLength;
+      cursor = { x: cursor.x + movement.x * ratio, y: cursor.y + movement.y * ratio };
+      travelDistance += movementLength * ratio;
+    }
+    if (isTail) endPosition = cursor;
+  });
+
+  slider.lazy = { travelTime, travelDistance, endPosition };
+  return slider.lazy;
+}
+
+function endCursorPosition(o, radius) {
+  return o.kind === 'slider' ? lazySlider(o, radius).endPosition : stackedPosition(o);
+}
+
+function createDifficultyObjects(objects, difficulty, rate) {
+  const radius = radiusFor(difficulty.cs);
+  const greatWindow = hitWindowsFor(difficulty.od)[300];
+  const list = [];
+
+  for (let i = 1; i < objects.length; i++) {
+    const base = objects[i];
+    const last = objects[i - 1];
+    const lastLast = i > 1 ? objects[i - 2] : null;
+    const d = {
+      index: list.length,
+      base,
+      startTime: base.time / rate,
+      deltaTime: (base.time - last.time) / rate,
+      hitWindowGreat: base.kind === 'spinner' ? 0 : 2 * greatWindow / rate,
+      lazyJumpDistance: 0,
+      minimumJumpDistance: 0,
+      minimumJumpTime: 0,
+      travelDistance: 0,
+      travelTime: 0,
+      angle: null,
+    };
+    d.strainTime = Math.max(d.deltaTime, MIN_DELTA_TIME);
+
+    if (base.kind === 'slider') {
+      const lazy = lazySlider(base, radius);
+      // Repeat sliders get a bonus until nested objects have their own strain;
+      // flashlight uses the distance without it
+      d.travelDistance = lazy.travelDistance * Math.pow(1 + (base.spans - 1) / 2.5, 1 / 2.5);
+      d.travelTime = Math.max(lazy.travelTime / rate, MIN_DELTA_TIME);
+    }
+
+    if (base.kind !== 'spinner' && last.kind !== 'spinner') {
+      let scalingFactor = NORMALISED_RADIUS / radius;
+      if (radius < 30) scalingFactor *= 1 + Math.min(30 - radius, 5) / 50;
+
+      const lastCursor = endCursorPosition(last, radius);
+      const position = stackedPosition(base);
+      d.lazyJumpDistance = length(sub(position, lastCursor)) * scalingFactor;
+      d.minimumJumpTime = d.strainTime;
+      d.minimumJumpDistance = d.lazyJumpDistance;
+
+      if (last.kind === 'slider') {
+        const lastTravelTime = Math.max(lazySlider(last, radius).travelTime / rate, MIN_DELTA_TIME);
+        d.minimumJumpTime = Math.max(d.strainTime - lastTravelTime, MIN_DELTA_TIME);
+        const tailJumpDistance = length(sub(stackedAt(last, last.spans % 2 === 1 ? 1 : 0), position)) * scalingFactor;
+        d.minimumJumpDistance = Math.max(0, Math.min(d.lazyJumpDistance - (MAXIMUM_SLIDER_RADIUS - ASSUMED_SLIDER_RADIUS), tailJumpDistance - MAXIMUM_SLIDER_RADIUS));
+      }
+
+      if (lastLast && lastLast.kind !== 'spinner') {
+        const v1 = sub(endCursorPosition(lastLast, radius), stackedPosition(last));
+        const v2 = sub(position, lastCursor);
+        d.angle = Math.abs(Math.atan2(v1.x * v2.y - v1.y * v2.x, v1.x * v2.x + v1.y * v2.y));
+      }
+    }
+    list.push(d);
+  }
+
+  const previous = (d, back) => list[d.index - (back + 1)] ?? null;
+  return { list, previous, next: d => list[d.index + 1] ?? null, radius };
+}
+
+// ── Evaluators ────────────────────────────────────────────────────────────────
+
+const wideAngleBonus = angle => Math.pow(Math.sin(3 / 4 * (Math.min(5 / 6 * Math.PI, Math.max(Math.PI / 6, angle)) - Math.PI / 6)), 2);
+const acuteAngleBonus = angle => 1 - wideAngleBonus(angle);
+
+function evaluateAim(d, objects, withSliders) {
+  if (d.base.kind === 'spinner' || d.index <= 1) return 0;
+  const last = objects.previous(d, 0);
+  const lastLast = objects.previous(d, 1);
+  if (last.base.kind === 'spinner') return 0;
+
+  let currVelocity = d.lazyJumpDistance / d.strainTime;
+  if (last.base.kind === 'slider' && withSliders) {
+    const travelVelocity = last.travelDistance / last.travelTime;
+    const movementVelocity = d.minimumJumpDistance / d.minimumJumpTime;
+    currVelocity = Math.max(currVelocity, movementVelocity + travelVelocity);
+  }
+  let prevVelocity = last.lazyJumpDistance / last.strainTime;
+  if (lastLast.base.kind === 'slider' && withSliders) {
+    const travelVelocity = lastLast.travelDistance / lastLast.travelTime;
+    const movementVelocity = last.minimumJumpDistance / last.minimumJumpTime;
+    prevVelocity = Math.max(prevVelocity, movementVelocity + travelVelocity);
+  }
+
+  let wideBonus = 0, acuteBonus = 0, sliderBonus = 0, velocityChangeBonus = 0;
+  let strain = currVelocity;
+
+  // Same rhythm: reward angles, based on the smaller velocity
+  if (Math.max(d.strainTime, last.strainTime) < 1.25 * Math.min(d.strainTime, last.strainTime)
+      && d.angle !== null && last.angle !== null && lastLast.angle !== null) {
+    const angleBonus = Math.min(currVelocity, prevVelocity);
+    wideBonus = wideAngleBonus(d.angle);
+    acuteBonus = acuteAngleBonus(d.angle);
+    if (d.strainTime > 100) {
+      acuteBonus = 0;  // only above 300 BPM 1/2
+    } else {
+      acuteBonus *= acuteAngleBonus(last.angle)
+        * Math.min(angleBonus, 125 / d.strainTime)
+        * Math.pow(Math.sin(Math.PI / 2 * Math.min(1, (100 - d.strainTime) / 25)), 2)
+        * Math.pow(Math.sin(Math.PI / 2 * (clamp(d.lazyJumpDistance, 50, 100) - 50) / 50), 2);
+    }
+    // Repeated angles get less
+    wideBonus *= angleBonus * (1 - Math.min(wideBonus, Math.pow(wideAngleBonus(last.angle), 3)));
+    acuteBonus *= 0.5 + 0.5 * (1 - Math.min(acuteBonus, Math.pow(acuteAngleBonus(lastLast.angle), 3)));
+  }
+
+  if (Math.max(prevVelocity, currVelocity) !== 0) {
+    // Average velocity over the whole object, not the jump and slider separately
+    prevVelocity = (last.lazyJumpDistance + lastLast.travelDistance) / last.strainTime;
+    currVelocity = (d.lazyJumpDistance + last.travelDistance) / d.strainTime;
+    const distRatio = Math.pow(Math.sin(Math.PI / 2 * Math.abs(prevVelocity - currVelocity) / Math.max(prevVelocity, currVelocity)), 2);
+    const overlapVelocityBuff = Math.min(125 / Math.min(d.strainTime, last.strainTime), Math.abs(prevVelocity - currVelocity));
+    velocityChangeBonus = overlapVelocityBuff * distRatio
+      * Math.pow(Math.min(d.strainTime, last.strainTime) / Math.max(d.strainTime, last.strainTime), 2);
+  }
+
+  if (last.base.kind === 'slider') sliderBonus = last.travelDistance / last.travelTime;
+
+  strain += Math.max(acuteBonus * 1.95, wideBonus * 1.5 + velocityChangeBonus * 0.75);
+  if (withSliders) strain += sliderBonus * 1.35;
+  return strain;
+}
+
+function evaluateSpeed(d, objects) {
+  if (d.base.kind === 'spinner') return 0;
+  const prev = d.index > 0 ? objects.previous(d, 0) : null;
+  const next = objects.next(d);
+
+  let strainTime = d.strainTime;
+  let doubletapness = 1;
+  if (next) {
+    const currDelta = Math.max(1, d.deltaTime);
+    const nextDelta = Math.max(1, next.deltaTime);
+    const speedRatio = currDelta / Math.max(currDelta, Math.abs(nextDelta - currDelta));
+    const windowRatio = Math.pow(Math.min(1, currDelta / d.hitWindowGreat), 2);
+    doubletapness = Math.pow(speedRatio, 1 - windowRatio);
+  }
+  strainTime /= clamp(strainTime / d.hitWindowGreat / 0.93, 0.92, 1);
+
+  let speedBonus = 1;
+  if (strainTime < 75) speedBonus = 1 + 0.75 * Math.pow((75 - strainTime) / 40, 2);
+  const distance = Math.min(125, (prev?.travelDistance ?? 0) + d.minimumJumpDistance);
+  return (speedBonus + speedBonus * Math.pow(distance / 125, 3.5)) * doubletapness / strainTime;
+}
+
+const HISTORY_TIME_MAX = 5000;
+
+function evaluateRhythm(d, objects) {
+  if (d.base.kind === 'spinner') return 0;
+  let previousIslandSize = 0, rhythmComplexitySum = 0, islandSize = 1, startRatio = 0;
+  let firstDeltaSwitch = false;
+  const historicalNoteCount = Math.min(d.index, 32);
+
+  let rhythmStart = 0;
+  while (rhythmStart < historicalNoteCount - 2 && d.startTime - objects.previous(d, rhythmStart).startTime < HISTORY_TIME_MAX) rhythmStart++;
+
+  for (let i = rhythmStart; i > 0; i--) {
+    const curr = objects.previous(d, i - 1);
+    const prev = objects.previous(d, i);
+    const last = objects.previous(d, i + 1);
+    const decay = Math.min((historicalNoteCount - i) / historicalNoteCount, (HISTORY_TIME_MAX - (d.startTime - curr.startTime)) / HISTORY_TIME_MAX);
+    const currDelta = curr.strainTime, prevDelta = prev.strainTime, lastDelta = last.strainTime;
+    const currRatio = 1 + 6 * Math.min(0.5, Math.pow(Math.sin(Math.PI / (Math.min(prevDelta, currDelta) / Math.max(prevDelta, currDelta))), 2));
+    const windowPenalty = curr.hitWindowGreat > 0
+      ? Math.min(1, Math.max(0, Math.abs(prevDelta - currDelta) - curr.hitWindowGreat * 0.3) / (curr.hitWindowGreat * 0.3))
+      : 1;
+    let effectiveRatio = windowPenalty * currRatio;
+
+    if (firstDeltaSwitch) {
+      if (!(prevDelta > 1.25 * currDelta || prevDelta * 1.25 < currDelta)) {
+        if (islandSize < 7) islandSize++;
+      } else {
+        if (curr.base.kind === 'slider') effectiveRatio *= 0.125;
+        if (prev.base.kind === 'slider') effectiveRatio *= 0.25;
+        if (previousIslandSize === islandSize) effectiveRatio *= 0.25;
+        if (previousIslandSize % 2 === islandSize % 2) effectiveRatio *= 0.5;
+        if (lastDelta > prevDelta + 10 && prevDelta > currDelta + 10) effectiveRatio *= 0.125;
+        rhythmComplexitySum += Math.sqrt(effectiveRatio * startRatio) * decay * Math.sqrt(4 + islandSize) / 2 * Math.sqrt(4 + previousIslandSize) / 2;
+        startRatio = effectiveRatio;
+        previousIslandSize = islandSize;
+        if (prevDelta * 1.25 < currDelta) firstDeltaSwitch = false;
+        islandSize = 1;
+      }
+    } else if (prevDelta > 1.25 * currDelta) {
+      firstDeltaSwitch = true;
+      startRatio = effectiveRatio;
+      islandSize = 1;
+    }
+  }
+  return Math.sqrt(4 + rhythmComplexitySum * 0.75) / 2;
+}
+
+function evaluateFlashlight(d, objects, { hidden, preempt, fadeIn }) {
+  if (d.base.kind === 'spinner') return 0;
+  const scalingFactor = 52 / objects.radius;
+  const position = stackedPosition(d.base);
+  let smallDistNerf = 1, cumulativeStrainTime = 0, result = 0, angleRepeatCount = 0;
+  let lastObj = d;
+
+  // How visible an earlier object still is when this one starts
+  const opacityAt = time => {
+    if (time > d.base.time) return 0;
+    const fadeInStart = d.base.time - preempt;
+    const fadingIn = clamp((time - fadeInStart) / fadeIn, 0, 1);
+    if (!hidden) return fadingIn;
+    return Math.min(fadingIn, 1 - clamp((time - (fadeInStart + fadeIn)) / (preempt * 0.3), 0, 1));
+  };
+
+  for (let i = 0; i < Math.min(d.index, 10); i++) {
+    const curr = objects.previous(d, i);
+    if (curr.base.kind !== 'spinner') {
+      const end = curr.base.kind === 'slider' ? stackedAt(curr.base, curr.base.spans % 2 === 1 ? 1 : 0) : stackedPosition(curr.base);
+      const jumpDistance = length(sub(position, end));
+      cumulativeStrainTime += lastObj.strainTime;
+      if (i === 0) smallDistNerf = Math.min(1, jumpDistance / 75);
+      const stackNerf = Math.min(1, curr.lazyJumpDistance / scalingFactor / 25);
+      const opacityBonus = 1 + 0.4 * (1 - opacityAt(curr.base.time));
+      result += stackNerf * opacityBonus * scalingFactor * jumpDistance / cumulativeStrainTime;
+      if (curr.angle !== null && d.angle !== null && Math.abs(curr.angle - d.angle) < 0.02) angleRepeatCount += Math.max(1 - 0.1 * i, 0);
+    }
+    lastObj = curr;
+  }
+
+  result = Math.pow(smallDistNerf * result, 2);
+  if (hidden) result *= 1.2;
+  result *= 0.2 + 0.8 / (angleRepeatCount + 1);
+
+  if (d.base.kind === 'slider') {
+    const pixelTravelDistance = d.base.lazy.travelDistance / scalingFactor;
+    let sliderBonus = Math.pow(Math.max(0, pixelTravelDistance / d.travelTime - 0.5), 0.5) * pixelTravelDistance;
+    if (d.base.spans > 1) sliderBonus /= d.base.spans;
+    result += sliderBonus * 1.3;
+  }
+  return result;
+}
+
+// ── Skills ────────────────────────────────────────────────────────────────────
+
+// Peak strain of every SECTION_LENGTH ms section, the strain decaying between objects
+function strainPeaks(objects, { decayBase, strainAt, currentValue }) {
+  const decay = ms => Math.pow(decayBase, ms / 1000);
+  const peaks = [];
+  let sectionEnd = 0;
+  let peak = 0;
+  for (const d of objects.list) {
+    if (d.index === 0) sectionEnd = Math.ceil(d.startTime / SECTION_LENGTH) * SECTION_LENGTH;
+    while (d.startTime > sectionEnd) {
+      peaks.push(peak);
+      peak = currentValue() * decay(sectionEnd - objects.previous(d, 0).startTime);
+      sectionEnd += SECTION_LENGTH;
+    }
+    peak = Math.max(strainAt(d, decay), peak);
+  }
+  peaks.push(peak);
+  return peaks;
+}
+
+// Weighted sum of the peaks, hardest first, with the very hardest few toned down
+function difficultyValue(peaks, { reducedSectionCount = 10, multiplier = 1.06 } = {}) {
+  const strains = peaks.filter(p => p > 0).sort((a, b) => b - a);
+  for (let i = 0; i < Math.min(strains.length, reducedSectionCount); i++) {
+    const scale = Math.log10(lerp(1, 10, clamp(i / reducedSectionCount, 0, 1)));
+    strains[i] *= lerp(0.75, 1, scale);
+  }
+  strains.sort((a, b) => b - a);
+  let difficulty = 0, weight = 1;
+  for (const strain of strains) {
+    difficulty += strain * weight;
+    weight *= 0.9;
+  }
+  return difficulty * multiplier;
+}
+
+function aimDifficulty(objects, withSliders) {
+  let strain = 0;
+  return difficultyValue(strainPeaks(objects, {
+    decayBase: 0.15,
+    currentValue: () => strain,
+    strainAt(d, decay) {
+      strain = strain * decay(d.deltaTime) + evaluateAim(d, objects, withSliders) * 23.55;
+      return strain;
+    },
+  }));
+}
+
+function speedDifficulty(objects) {
+  let strain = 0, rhythm = 0;
+  const objectStrains = [];
+  const value = difficultyValue(strainPeaks(objects, {
+    decayBase: 0.3,
+    currentValue: () => strain * rhythm,
+    strainAt(d, decay) {
+      strain = strain * decay(d.strainTime) + evaluateSpeed(d, objects) * 1375;
+      rhythm = evaluateRhythm(d, objects);
+      objectStrains.push(strain * rhythm);
+      return strain * rhythm;
+    },
+  }), { reducedSectionCount: 5, multiplier: 1.04 });
+
+  // How many objects count as speed notes, weighted towards the hardest
+  const maxStrain = Math.max(0, ...objectStrains);
+  const noteCount = maxStrain > 0
+    ? objectStrains.reduce((sum, s) => sum + 1 / (1 + Math.exp(-(s / maxStrain * 12 - 6))), 0)
+    : 0;
+  return { value, noteCount };
+}
+
+function flashlightDifficulty(objects, options) {
+  let strain = 0;
+  const peaks = strainPeaks(objects, {
+    decayBase: 0.15,
+    currentValue: () => strain,
+    strainAt(d, decay) {
+      strain = strain * decay(d.deltaTime) + evaluateFlashlight(d, objects, options) * 0.052;
+      return strain;
+    },
+  });
+  return peaks.reduce((sum, p) => sum + p, 0) * 1.06;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Difficulty attributes of an osu!standard .osu under `mods` (a bitmask):
+ * `{ stars, aim, speed, flashlight, sliderFactor, speedNoteCount, ar, od, cs,
+ *    hp, clockRate, maxCombo, circles, sliders, spinners }`. AR and OD are
+ * what the player sees after DT/HT; CS and HP only change with HR/EZ.
+ */
+export function calculateDifficulty(beatmapText, mods = 0) {
+  const beatmap = parseBeatmap(beatmapText, mods);
+  if (beatmap.mode !== 0) throw new Error(`unsupported game mode ${beatmap.mode}`);
+  const { difficulty } = beatmap;
+  const rate = clockRate(mods);
+  const objects = createDifficultyObjects(beatmap.objects, difficulty, rate);
+
+  let aim = Math.sqrt(aimDifficulty(objects, true)) * DIFFICULTY_MULTIPLIER;
+  const aimNoSliders = Math.sqrt(aimDifficulty(objects, false)) * DIFFICULTY_MULTIPLIER;
+  const speedSkill = speedDifficulty(objects);
+  const speed = Math.sqrt(speedSkill.value) * DIFFICULTY_MULTIPLIER;
+  const preempt = preemptFor(difficulty.ar);
+  // HD shortens the fade-in to 40% of the approach time
+  const hidden = !!(mods & MOD.HD);
+  const fadeIn = hidden ? preempt * 0.4 : 400 * Math.min(1, preempt / 450);
+  const flashlight = mods & MOD.FL
+    ? Math.sqrt(flashlightDifficulty(objects, { hidden, preempt, fadeIn })) * DIFFICULTY_MULTIPLIER
+    : 0;
+  const sliderFactor = aim > 0 ? aimNoSliders / aim : 1;
+  if (mods & MOD.TD) aim = Math.pow(aim, 0.8);
+
+  const basePerformance = Math.pow(
+    Math.pow(skillPerformance(aim), 1.1) + Math.pow(skillPerformance(speed), 1.1) + Math.pow(flashlight * flashlight * 25, 1.1),
+    1 / 1.1);
+  const stars = basePerformance > 0.00001
+    ? Math.cbrt(1.14) * 0.027 * (Math.cbrt(100000 / Math.pow(2, 1 / 1.1) * basePerformance) + 4)
+    : 0;
+
+  const ratePreempt = preempt / rate;
+  const greatWindow = hitWindowsFor(difficulty.od)[300] / rate;
+  const counts = { circle: 0, slider: 0, spinner: 0 };
+  let maxCombo = 0;
+  for (const o of beatmap.objects) {
+    counts[o.kind]++;
+    maxCombo += o.kind === 'slider' ? 1 + o.nested.length : 1;
+  }
+
+  return {
+    stars, aim, speed, flashlight, sliderFactor, speedNoteCount: speedSkill.noteCount,
+    ar: ratePreempt > 1200 ? (1800 - ratePreempt) / 120 : (1200 - ratePreempt) / 150 + 5,
+    od: (80 - greatWindow) / 6,
+    cs: difficulty.cs,
+    hp: difficulty.hp,
+    clockRate: rate,
+    maxCombo,
+    circles: counts.circle,
+    sliders: counts.slider,
+    spinners: counts.spinner,
+  };
+}
+
+function skillPerformance(rating) {
+  return Math.pow(5 * Math.max(1, rating / DIFFICULTY_MULTIPLIER) - 4, 3) / 100000;
+}
+
+/**
+ * pp of a score on a map with `attributes` from calculateDifficulty, under the
+ * same mods. Hit counts default to an SS; `combo` to the map's max combo.
+ * Returns `{ pp, aim, speed, accuracy, flashlight }`.
+ */
+export function calculatePerformance(attributes, { mods = 0, count100 = 0, count50 = 0, countMiss = 0, combo = null } = {}) {
+  const a = attributes;
+  const totalHits = a.circles + a.sliders + a.spinners;
+  // Counts from a score on another version of the map can't exceed this one's objects
+  countMiss = Math.min(countMiss, totalHits);
+  count100 = Math.min(count100, totalHits - countMiss);
+  count50 = Math.min(count50, totalHits - countMiss - count100);
+  const count300 = Math.max(0, totalHits - count100 - count50 - countMiss);
+  const scoreCombo = combo ?? a.maxCombo;
+  const accuracy = totalHits > 0 ? (count300 * 6 + count100 * 2 + count50) / (totalHits * 6) : 0;
+
+  // Misses, plus the slider breaks a combo short of the maximum suggests
+  let effectiveMissCount = countMiss;
+  if (a.sliders > 0) {
+    const fullComboThreshold = a.maxCombo - 0.1 * a.sliders;
+    if (scoreCombo < fullComboThreshold) effectiveMissCount = Math.max(countMiss, fullComboThreshold / Math.max(1, scoreCombo));
+  }
+  effectiveMissCount = Math.min(effectiveMissCount, count100 + count50 + countMiss);
+
+  const comboScaling = a.maxCombo > 0 ? Math.min(Math.pow(scoreCombo, 0.8) / Math.pow(a.maxCombo, 0.8), 1) : 1;
+  const lengthBonus = 0.95 + 0.4 * Math.min(1, totalHits / 2000) + (totalHits > 2000 ? Math.log10(totalHits / 2000) * 0.5 : 0);
+  const hidden = !!(mods & MOD.HD);
+
+  // Aim
+  let aim = skillPerformance(a.aim) * lengthBonus;
+  if (effectiveMissCount > 0) aim *= 0.97 * Math.pow(1 - Math.pow(effectiveMissCount / totalHits, 0.775), effectiveMissCount);
+  aim *= comboScaling;
+  let arFactor = 0;
+  if (a.ar > 10.33) arFactor = 0.3 * (a.ar - 10.33);
+  else if (a.ar < 8) arFactor = 0.05 * (8 - a.ar);
+  aim *= 1 + arFactor * lengthBonus;
+  if (hidden) aim *= 1 + 0.04 * (12 - a.ar);
+  if (a.sliders > 0) {
+    const difficultSliders = a.sliders * 0.15;
+    const sliderEndsDropped = clamp(Math.min(count100 + count50 + countMiss, a.maxCombo - scoreCombo), 0, difficultSliders);
+    aim *= (1 - a.sliderFactor) * Math.pow(1 - sliderEndsDropped / difficultSliders, 3) + a.sliderFactor;
+  }
+  aim *= accuracy * (0.98 + a.od * a.od / 2500);
+
+  // Speed
+  let speed = skillPerformance(a.speed) * lengthBonus;
+  if (effectiveMissCount > 0) speed *= 0.97 * Math.pow(1 - Math.pow(effectiveMissCount / totalHits, 0.775), Math.pow(effectiveMissCount, 0.875));
+  speed *= comboScaling;
+  speed *= 1 + (a.ar > 10.33 ? 0.3 * (a.ar - 10.33) : 0) * lengthBonus;
+  if (hidden) speed *= 1 + 0.04 * (12 - a.ar);
+  const relevantTotalDiff = totalHits - a.speedNoteCount;
+  const relevant300 = Math.max(0, count300 - relevantTotalDiff);
+  const relevant100 = Math.max(0, count100 - Math.max(0, relevantTotalDiff - count300));
+  const relevant50 = Math.max(0, count50 - Math.max(0, relevantTotalDiff - count300 - count100));
+  const relevantAccuracy = a.speedNoteCount === 0 ? 0 : (relevant300 * 6 + relevant100 * 2 + relevant50) / (a.speedNoteCount * 6);
+  speed *= (0.95 + a.od * a.od / 750) * Math.pow((accuracy + relevantAccuracy) / 2, (14.5 - Math.max(a.od, 8)) / 2);
+  speed *= Math.pow(0.99, count50 < totalHits / 500 ? 0 : count50 - totalHits / 500);
+
+  // Accuracy, judged on circles only, as score v1 does
+  const circleAccuracy = a.circles > 0
+    ? Math.max(0, ((count300 - (totalHits - a.circles)) * 6 + count100 * 2 + count50) / (a.circles * 6))
+    : 0;
+  let accuracyValue = Math.pow(1.52163, a.od) * Math.pow(circleAccuracy, 24) * 2.83;
+  accuracyValue *= Math.min(1.15, Math.pow(a.circles / 1000, 0.3));
+  if (hidden) accuracyValue *= 1.08;
+  if (mods & MOD.FL) accuracyValue *= 1.02;
+
+  // Flashlight
+  let flashlight = 0;
+  if (mods & MOD.FL) {
+    flashlight = a.flashlight * a.flashlight * 25;
+    if (effectiveMissCount > 0) flashlight *= 0.97 * Math.pow(1 - Math.pow(effectiveMissCount / totalHits, 0.775), Math.pow(effectiveMissCount, 0.875));
+    flashlight *= comboScaling;
+    flashlight *= 0.7 + 0.1 * Math.min(1, totalHits / 200) + (totalHits > 200 ? 0.2 * Math.min(1, (totalHits - 200) / 200) : 0);
+    flashlight *= (0.5 + accuracy / 2) * (0.98 + a.od * a.od / 2500);
+  }
+
+  let multiplier = 1.14;
+  if (mods & MOD.NF) multiplier *= Math.max(0.9, 1 - 0.02 * effectiveMissCount);
+  if ((mods & MOD.SO) && totalHits > 0) multiplier *= 1 - Math.pow(a.spinners / totalHits, 0.85);
+
+  const pp = Math.pow(
+    Math.pow(aim, 1.1) + Math.pow(speed, 1.1) + Math.pow(accuracyValue, 1.1) + Math.pow(flashlight, 1.1),
+    1 / 1.1) * multiplier;
+  return { pp, aim, speed, accuracy: accuracyValue, flashlight };
+}
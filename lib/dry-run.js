@@ -0,0 +1,156 @@
+import { COL, NUM_COLS, readDisplayRows } from './layout.js';
+import { createLocalStore, cellText } from './local-store.js';
+
+// ── Dry-Run Store ─────────────────────────────────────────────────────────────
+
+/**
+ * Wraps a store so that nothing is written to it. Each sheet is copied into
+ * memory on first use and every later read and write goes to that copy, so a
+ * whole pipeline (refresh, then move-fcs) sees its own planned changes.
+ */
+export function createDryRunStore(base) {
+  const overlay = createLocalStore(null);
+  const seeded = new Map();
+
+  function seed(sheet) {
+    if (!seeded.has(sheet)) {
+      seeded.set(sheet, (async () => {
+        // Any column: error rows have nothing in the beatmap ID column
+        const lastRow = await base.lastRow(sheet, null);
+        if (lastRow < 1) return;
+        const rows = await readDisplayRows(base, sheet, 1, lastRow, NUM_COLS);
+        await overlay.batchSet([{ sheet, startRow: 1, startCol: 1, values: rows }]);
+      })());
+    }
+    return seeded.get(sheet);
+  }
+
+  return {
+    name: 'dry-run',
+    async init() { await overlay.init(); },
+    async get(sheet, ...args)       { await seed(sheet); return overlay.get(sheet, ...args); },
+    async set(sheet, ...args)       { await seed(sheet); return overlay.set(sheet, ...args); },
+    async lastRow(sheet, ...args)   { await seed(sheet); return overlay.lastRow(sheet, ...args); },
+    async clear(sheet)              { await seed(sheet); return overlay.clear(sheet); },
+    async deleteRow(sheet, ...args) { await seed(sheet); return overlay.deleteRow(sheet, ...args); },
+    async sort(sheet, ...args)      { await seed(sheet); return overlay.sort(sheet, ...args); },
+    async batchSet(ranges) {
+      for (const sheet of new Set(ranges.map(r => r.sheet))) await seed(sheet);
+      return overlay.batchSet(ranges);
+    },
+    async completeMove(fromSheet, fromRow, toSheet, toRow) {
+      await seed(fromSheet);
+      await seed(toSheet);
+      return overlay.completeMove(fromSheet, fromRow, toSheet, toRow);
+    },
+    async hasSheet(sheet) {
+      return seeded.has(sheet) ? overlay.hasSheet(sheet) : base.hasSheet(sheet);
+    },
+    // A sheet the base store doesn't have yet is only created in the overlay
+    async ensureSheet(sheet, header) {
+      if (!seeded.has(sheet) && !(await base.hasSheet(sheet))) seeded.set(sheet, Promise.resolve());
+      await seed(sheet);
+      return overlay.ensureSheet(sheet, header);
+    },
+    async ensureRows() {},
+    async formatRows() {},
+  };
+}
+
+// ── Plan ──────────────────────────────────────────────────────────────────────
+
+const COL_NAMES = Object.fromEntries(Object.entries(COL).map(([name, col]) => [col, name]));
+const TWO_DECIMAL_COLS = new Set([COL.SR, COL.PCT_FC, COL.MOD_SR]);
+// Days ranked is recomputed on every run, so diffing it would flag every row
+const IGNORED_COLS = new Set([COL.DAYS_RANKED]);
+
+function displayValue(col, value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string' && value.startsWith('=')) return value;
+  if (TWO_DECIMAL_COLS.has(col) && value !== '' && !isNaN(Number(value))) return Number(value).toFixed(2);
+  return String(value);
+}
+
+function describe(row, values) {
+  return {
+    row,
+    beatmapId: String(values[COL.BEATMAP_ID - 1] ?? ''),
+    beatmap: String(cellText(values[COL.BEATMAP - 1] ?? '')).split('\n').join(' / '),
+  };
+}
+
+/**
+ * Collects what a dry run would have changed: per-column diffs for updated rows,
+ * added maps, rows moved to History, rows deleted as recent FCs and `check --fix`
+ * repairs.
+ */
+export function createPlan(command) {
+  const updates = [], additions = [], moves = [], deletes = [], unranked = [], repairs = [];
+  let unchanged = 0;
+
+  return {
+    update(row, before, after) {
+      const changes = [];
+      for (let col = 1; col <= after.length; col++) {
+        if (IGNORED_COLS.has(col)) continue;
+        const from = displayValue(col, before[col - 1]);
+        const to   = displayValue(col, after[col - 1]);
+        if (from !== to) changes.push({ column: COL_NAMES[col], from: cellText(from), to: cellText(to) });
+      }
+      if (changes.length) updates.push({ ...describe(row, after), changes });
+      else unchanged++;
+    },
+    add(row, values) {
+      additions.push(describe(row, values));
+    },
+    move(row, values, daysToFC) {
+      moves.push({ ...describe(row, values), daysToFC });
+    },
+    delete(row, values, daysToFC) {
+      deletes.push({ ...describe(row, values), daysToFC });
+    },
+    unrank(row, values, status) {
+      unranked.push({ ...describe(row, values), status });
+    },
+    repair(sheet, row, values, action) {
+      repairs.push({ sheet, ...describe(row, values), action });
+    },
+
+    toJSON() {
+      return { command, generatedAt: new Date().toISOString(), unchanged, updates, additions, moves, deletes, unranked, repairs };
+    },
+
+    print() {
+      const label = e => `  row ${e.row}  [${e.beatmapId}] ${e.beatmap}`;
+      console.log('\nDry run: no changes were made. Planned changes:');
+      if (updates.length) {
+        console.log(`\nUpdate ${updates.length} row(s) (${unchanged} unchanged):`);
+        for (const u of updates) {
+          console.log(label(u));
+          for (const c of u.changes) console.log(`      ${c.column}: ${c.from || '(empty)'} → ${c.to || '(empty)'}`);
+        }
+      }
+      if (additions.length) {
+        console.log(`\nAdd ${additions.length} map(s):`);
+        for (const a of additions) console.log(label(a));
+      }
+      if (moves.length) {
+        console.log(`\nMove ${moves.length} row(s) to History:`);
+        for (const m of moves) console.log(`${label(m)}  (FC after ${m.daysToFC} days)`);
+      }
+      if (deletes.length) {
+        console.log(`\nDelete ${deletes.length} row(s) as recent FC:`);
+        for (const d of deletes) console.log(`${label(d)}  (FC after ${Number.isFinite(d.daysToFC) ? d.daysToFC : '?'} days)`);
+      }
+      if (unranked.length) {
+        console.log(`\nMove ${unranked.length} row(s) to Unranked:`);
+        for (const u of unranked) console.log(`${label(u)}  (${u.status})`);
+      }
+      if (repairs.length) {
+        console.log(`\nRepair ${repairs.length} row(s):`);
+        for (const r of repairs) console.log(`  ${r.sheet} row ${r.row}${r.beatmapId ? `  [${r.beatmapId}] ${r.beatmap}` : ''}  (${r.action})`);
+      }
+      if (!updates.length && !additions.length && !moves.length && !deletes.length && !unranked.length && !repairs.length) console.log('  (nothing)');
+    },
+  };
+}
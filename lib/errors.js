@@ -0,0 +1,42 @@
+// ── Errors ────────────────────────────────────────────────────────────────────
+
+// What the library throws instead of exiting, so callers can tell a bad setup
+// from a bad argument or a service failure. The CLI prints `message` for these
+// and the full error for anything else.
+
+export class TrackerError extends Error {
+  constructor(message, { code = 'TRACKER_ERROR', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Missing or invalid configuration: API key, spreadsheet ID, mode, FC rules
+export class ConfigError extends TrackerError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFIG', ...options });
+  }
+}
+
+// Invalid arguments to a tracker method (bad dates, row numbers, unsupported options)
+export class UsageError extends TrackerError {
+  constructor(message, options = {}) {
+    super(message, { code: 'USAGE', ...options });
+  }
+}
+
+// The osu! API answered with an HTTP error; `status` is the HTTP status
+export class ApiError extends TrackerError {
+  constructor(message, { status = null, ...options } = {}) {
+    super(message, { code: 'API', ...options });
+    this.status = status;
+  }
+}
+
+// The run's osu! API request budget is used up; nothing was sent
+export class BudgetError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'BUDGET', ...options });
+  }
+}
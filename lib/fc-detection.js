@@ -0,0 +1,114 @@
+import { getModString } from './mods.js';
+import { hasCategoryMods } from './categories.js';
+import { formatDate } from './format.js';
+
+// ── FC Detection ──────────────────────────────────────────────────────────────
+
+// Whether get_scores entries are FCs, under a mode (from lib/modes.js, optionally
+// withCategory) and FC rules (from loadFCRules). `ctx` is `{ mode, rules }`.
+
+const RANK_VALUE_MAP = new Map([['D',1],['C',2],['B',3],['A',4],['S',5],['SH',5],['X',6],['XH',6]]);
+
+function getRankValue(rank) { return RANK_VALUE_MAP.get(rank) || 0; }
+
+export function isRankValid(score, { rules }) { return !!score && rules.validRanks.includes(score.rank); }
+
+export function areModsValid(modsEnum, { mode, rules }) {
+  if (mode.category && !hasCategoryMods(modsEnum, mode.category)) return false;
+  return (modsEnum & rules.invalidModsMask) === 0;
+}
+
+export function isFCByCombo(score, maxCombo, ctx) {
+  if (!score) return false;
+  const { mode, rules } = ctx;
+  const mods = parseInt(score.enabled_mods);
+  if (!areModsValid(mods, ctx)) return false;
+  // Taiko, catch and mania: any score without a miss, whatever its accuracy
+  if (mode.fcRule === 'no-miss') return parseInt(score.countmiss) === 0;
+  if (!isRankValid(score, ctx)) return false;
+  if (mods & rules.forcedFCMask) return true; // SD or PF by default
+  return parseInt(score.maxcombo) >= maxCombo - rules.comboSlack;
+}
+
+// Only standard has slider breaks that hide behind an S rank and a near-max combo
+export function isAmbiguousFC(score, maxCombo, ctx) {
+  if (ctx.mode.fcRule !== 'combo' || !score || !isRankValid(score, ctx)) return false;
+  const mods = parseInt(score.enabled_mods);
+  if (!areModsValid(mods, ctx) || (mods & ctx.rules.forcedFCMask)) return false;
+  return parseInt(score.maxcombo) + parseInt(score.count100) + parseInt(score.count50) >= maxCombo;
+}
+
+// How close a score got to an FC, as shown in the % FC column
+export function attemptProgress(score, maxCombo, { mode }) {
+  if (mode.progress === 'notes') {
+    const notes = ['count300', 'count100', 'count50', 'countgeki', 'countkatu', 'countmiss']
+      .reduce((sum, key) => sum + (parseInt(score[key]) || 0), 0);
+    return notes ? ((notes - parseInt(score.countmiss)) / notes) * 100 : 0;
+  }
+  return (parseInt(score.maxcombo) / maxCombo) * 100;
+}
+
+function attempt(score, mods, percentFC, isFC) {
+  return {
+    userID: parseInt(score.user_id),
+    player: score.username,
+    mods,
+    modString: getModString(mods),
+    hits: { count100: parseInt(score.count100) || 0, count50: parseInt(score.count50) || 0, countMiss: parseInt(score.countmiss) || 0 },
+    currentMaxCombo: parseInt(score.maxcombo),
+    rank: score.rank,
+    scoreDate: score.date ? formatDate(score.date) : '',
+    percentFC,
+    isFC,
+  };
+}
+
+/**
+ * The first FC among `scores`, or else the closest attempt. Ambiguous scores
+ * are passed to `verify(score)` (resolving to a verifier result such as
+ * `{ is_fc }` or `{ error }`), highest combo first; without `verify` they stay
+ * non-FCs. `onFC(how, score, result)` is told how an FC was found ('combo' or
+ * 'replay'). `beatmapId` only labels log lines.
+ */
+export async function findBestScore(scores, maxCombo, { mode, rules, beatmapId = null, verify = null, onFC = null }) {
+  const ctx = { mode, rules };
+  let best = { userID: 0, player: '', mods: 0, modString: '', hits: null, currentMaxCombo: 0, rank: '', scoreDate: '', percentFC: 0, isFC: false };
+  const ambiguous = [];
+  // Category scores were already limited per query by the API client
+  const limit = mode.category ? scores.length : Math.min(scores.length, rules.scoreLimit);
+
+  for (let i = 0; i < limit; i++) {
+    const score = scores[i];
+    const mods = parseInt(score.enabled_mods);
+    if (!areModsValid(mods, ctx)) continue;
+
+    if (isFCByCombo(score, maxCombo, ctx)) {
+      onFC?.('combo', score);
+      return attempt(score, mods, attemptProgress(score, maxCombo, ctx), true);
+    }
+
+    const percentFC = attemptProgress(score, maxCombo, ctx);
+    if (percentFC > best.percentFC || (percentFC === best.percentFC && getRankValue(score.rank) > getRankValue(best.rank))) {
+      best = attempt(score, mods, percentFC, false);
+    }
+
+    if (verify && isAmbiguousFC(score, maxCombo, ctx)) ambiguous.push(score);
+  }
+
+  // Verify all ambiguous scores from their replays, highest combo first
+  if (ambiguous.length > 0) {
+    ambiguous.sort((a, b) => parseInt(b.maxcombo) - parseInt(a.maxcombo));
+    for (const score of ambiguous) {
+      const result = await verify(score);
+      if (result.is_fc) {
+        console.log(`Verified FC: beatmap ${beatmapId} (${score.username})${result.cached ? ' (cached)' : ''}`);
+        onFC?.('replay', score, result);
+        return attempt(score, parseInt(score.enabled_mods), (parseInt(score.maxcombo) / maxCombo) * 100, true);
+      }
+      if (result.error) console.error(`Replay check failed for ${beatmapId}/${score.user_id}: ${result.error}${result.cached ? ' (cached)' : ''}${result.stdout_tail ? '\n' + result.stdout_tail : ''}`);
+      else console.log(`Not FC: beatmap ${beatmapId} (${score.username})${result.cached ? ' (cached)' : ''}`);
+    }
+  }
+
+  return best;
+}
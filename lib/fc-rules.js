@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+
+// ── FC Rules ──────────────────────────────────────────────────────────────────
+
+// The policy behind "is this an FC?" and "does it stay on the list?". The
+// built-in "default" preset is the tracker's long-standing behaviour; a rules
+// file can add presets that extend it:
+//
+//   {
+//     "preset": "ez-counts",
+//     "presets": {
+//       "ez-counts": { "extends": "default", "allowMods": ["EZ"], "recentFCDays": 14 }
+//     }
+//   }
+
+const RULE_KEYS = {
+  invalidMods:  'mods whose scores never count (default: per mode)',
+  allowMods:    'mods taken out of invalidMods, so the mode defaults still apply to the rest',
+  comboSlack:   'standard: combo within this much of max combo is an FC',
+  validRanks:   'standard: ranks an FC can have',
+  forcedFCMods: 'mods that fail on a miss, so any pass is an FC',
+  scoreLimit:   'leaderboard scores checked per map',
+  recentFCDays: 'FCs set sooner after ranking are deleted, later ones move to History',
+};
+const MODE_KEYS = ['osu', 'taiko', 'catch', 'mania'];
+const RANKS = ['D', 'C', 'B', 'A', 'S', 'SH', 'X', 'XH'];
+
+export const BUILTIN_PRESETS = {
+  default: {
+    invalidMods: null,
+    allowMods: [],
+    comboSlack: 1,
+    validRanks: ['S', 'SH', 'X', 'XH'],
+    forcedFCMods: ['SD', 'PF'],
+    scoreLimit: 50,
+    recentFCDays: 30,
+  },
+};
+
+const isInt = (v, min, max = Infinity) => Number.isInteger(v) && v >= min && v <= max;
+
+function validateRules(rules, where, modBits, errors) {
+  for (const [key, value] of Object.entries(rules)) {
+    const at = `${where}.${key}`;
+    switch (key) {
+      case 'extends':
+        if (typeof value !== 'string') errors.push(`${at}: expected a preset name`);
+        break;
+      case 'modes':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) { errors.push(`${at}: expected an object keyed by mode`); break; }
+        for (const [modeKey, overrides] of Object.entries(value)) {
+          if (!MODE_KEYS.includes(modeKey)) { errors.push(`${at}.${modeKey}: unknown mode (expected ${MODE_KEYS.join(', ')})`); continue; }
+          if (overrides && ('modes' in overrides || 'extends' in overrides)) errors.push(`${at}.${modeKey}: only rules can be overridden per mode`);
+          validateRules(overrides || {}, `${at}.${modeKey}`, modBits, errors);
+        }
+        break;
+      case 'invalidMods':
+      case 'allowMods':
+      case 'forcedFCMods':
+        if (value === null && key === 'invalidMods') break;
+        if (!Array.isArray(value)) { errors.push(`${at}: expected a list of mod acronyms`); break; }
+        for (const mod of value) if (!(mod in modBits)) errors.push(`${at}: unknown mod "${mod}"`);
+        break;
+      case 'validRanks':
+        if (!Array.isArray(value) || !value.length) { errors.push(`${at}: expected a non-empty list of ranks`); break; }
+        for (const rank of value) if (!RANKS.includes(rank)) errors.push(`${at}: unknown rank "${rank}" (expected ${RANKS.join(', ')})`);
+        break;
+      case 'comboSlack':
+      case 'recentFCDays':
+        if (!isInt(value, 0)) errors.push(`${at}: expected a non-negative integer`);
+        break;
+      case 'scoreLimit':
+        if (!isInt(value, 1, 100)) errors.push(`${at}: expected an integer from 1 to 100`);
+        break;
+      default:
+        errors.push(`${at}: unknown setting (expected ${['extends', 'modes', ...Object.keys(RULE_KEYS)].join(', ')})`);
+    }
+  }
+}
+
+// Merges a preset over everything it extends, applying its per-mode overrides
+function resolvePreset(presets, name, modeKey, seen = []) {
+  if (seen.includes(name)) throw new Error(`FC rules: preset "${name}" extends itself (${[...seen, name].join(' → ')})`);
+  const preset = presets[name];
+  if (!preset) throw new Error(`FC rules: unknown preset "${name}" (available: ${Object.keys(presets).join(', ')})`);
+  const { extends: parent, modes, ...own } = preset;
+  const base = parent ? resolvePreset(presets, parent, modeKey, [...seen, name]) : {};
+  return { ...base, ...own, ...(modes?.[modeKey] || {}) };
+}
+
+/**
+ * Loads the active rules for a mode. `modBits` maps mod acronyms to their bits
+ * (for validation and masks). A missing rules file means the built-in presets
+ * only; an invalid one throws with every problem listed.
+ */
+export function loadFCRules({ filePath = null, preset = null, mode, modBits }) {
+  let config = {};
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`FC rules: could not parse ${filePath}: ${err.message}`);
+    }
+  }
+
+  const errors = [];
+  for (const key of Object.keys(config)) {
+    if (!['preset', 'presets'].includes(key)) errors.push(`${key}: unknown setting (expected preset, presets)`);
+  }
+  if ('preset' in config && typeof config.preset !== 'string') errors.push('preset: expected a preset name');
+  for (const [name, rules] of Object.entries(config.presets || {})) {
+    if (name in BUILTIN_PRESETS) errors.push(`presets.${name}: built-in presets can't be redefined; extend it instead`);
+    validateRules(rules || {}, `presets.${name}`, modBits, errors);
+  }
+  if (errors.length) throw new Error(`FC rules in ${filePath} are invalid:\n  ${errors.join('\n  ')}`);
+
+  const presets = { ...BUILTIN_PRESETS, ...(config.presets || {}) };
+  const name = preset || config.preset || 'default';
+  const resolved = { ...BUILTIN_PRESETS.default, ...resolvePreset(presets, name, mode.key) };
+
+  const maskOf = mods => mods.reduce((mask, mod) => mask | modBits[mod], 0);
+  const invalidModsMask = (resolved.invalidMods === null ? mode.invalidMods : maskOf(resolved.invalidMods)) & ~maskOf(resolved.allowMods);
+  return {
+    preset: name,
+    source: filePath && fs.existsSync(filePath) ? path.basename(filePath) : 'built-in',
+    ...resolved,
+    invalidMods: Object.keys(modBits).filter(mod => modBits[mod] && (invalidModsMask & modBits[mod])),
+    invalidModsMask,
+    forcedFCMask: maskOf(resolved.forcedFCMods),
+  };
+}
+
+// Human-readable rules for a mode, for the `rules` command and the About sheet
+export function describeFCRules(rules, mode) {
+  const list = items => items.length ? items.join(', ') : 'none';
+  const fcLine = mode.fcRule === 'no-miss'
+    ? 'FC: no misses (any rank)'
+    : `FC: rank ${list(rules.validRanks)}, and combo ≥ max combo − ${rules.comboSlack} or played with ${list(rules.forcedFCMods)}`;
+  return [
+    `FC rules for ${mode.name} (preset "${rules.preset}", ${rules.source})`,
+    ...(mode.category ? [`Only scores with at least ${mode.category.mods} count (NC counts as DT, PF as SD)`] : []),
+    fcLine,
+    `Invalid mods: ${list(rules.invalidMods)}`,
+    `Forced-FC mods: ${list(rules.forcedFCMods)}`,
+    `Scores checked per map: top ${rules.scoreLimit}`,
+    `FCs within ${rules.recentFCDays} days of ranking are deleted; later FCs move to History`,
+  ];
+}
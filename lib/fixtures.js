@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ConfigError } from './errors.js';
+import { redactApiKey } from './osu-api.js';
+
+// ── HTTP and Store Fixtures ───────────────────────────────────────────────────
+
+// `--record <dir>` saves every HTTP exchange (osu! API, beatmap downloads,
+// replays) and every store call (Google Sheets or the local file) of a run;
+// `--replay <dir>` serves them back with no network or credentials. Layout:
+//
+//   manifest.json         command, mode and when it was recorded
+//   http/0001-….json      { key, method, url, status, contentType, body | base64 } or { key, error }
+//   store/0001-….json     { key, method, args, result } or { key, method, args, error }
+//   work/                 scratch cache and state directories for the run
+//
+// Exchanges are matched on method and URL, and store reads on method and
+// arguments, in the order they were recorded; once a key's recordings are used
+// up, its last one is served again. Store writes only need the same method, as
+// their arguments carry timestamps (audit entries, the About sheet). The osu!
+// API key is replaced with REDACTED before anything is written or matched.
+
+const STORE_READS = ['init', 'get', 'lastRow', 'hasSheet'];
+const STORE_METHODS = [...STORE_READS, 'set', 'batchSet', 'deleteRow', 'sort', 'ensureRows',
+  'formatRows', 'completeMove', 'ensureSheet', 'clear'];
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+function httpKey(method, url) {
+  return `${method} ${redactApiKey(url)}`;
+}
+
+function storeKey(method, args) {
+  return STORE_READS.includes(method) ? `${method} ${JSON.stringify(args)}` : method;
+}
+
+// Short readable part of a fixture's file name: the API endpoint, "osu" or "replay"
+function slug(text) {
+  return text.replace(/^\w+ https?:\/\/[^/]+\//, '').replace(/\?.*$/, '').replace(/[^\w-]+/g, '_').slice(0, 40) || 'request';
+}
+
+// Text bodies are kept readable; anything that isn't valid UTF-8 is stored as base64
+function encodeBody(buffer) {
+  try {
+    return { body: new TextDecoder('utf-8', { fatal: true }).decode(buffer) };
+  } catch {
+    return { base64: Buffer.from(buffer).toString('base64') };
+  }
+}
+
+// Responses with these statuses can't have a body
+function responseBody(status, body) {
+  return status === 204 || status === 304 ? null : body;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function errorInfo(err) {
+  return { message: err.message, name: err.name, code: err.code ?? null };
+}
+
+function rethrow(info) {
+  const err = new Error(info.message);
+  if (info.name) err.name = info.name;
+  if (info.code) err.code = info.code;
+  throw err;
+}
+
+/**
+ * Records into `dir`, replacing any earlier recording there. `fetch` and
+ * `wrapStore(store)` pass everything through to the real services and save the
+ * exchange; `close(meta)` writes the manifest.
+ */
+export function createRecorder(dir, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  for (const sub of ['http', 'store', 'work']) fs.rmSync(path.join(dir, sub), { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, 'http'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'store'), { recursive: true });
+  let httpCount = 0;
+  let storeCount = 0;
+
+  function save(kind, key, entry) {
+    const n = kind === 'http' ? ++httpCount : ++storeCount;
+    const file = `${String(n).padStart(4, '0')}-${slug(key)}-${hash(key)}.json`;
+    fs.writeFileSync(path.join(dir, kind, file), JSON.stringify({ key, ...entry }, null, 2));
+  }
+
+  return {
+    workDir: path.join(dir, 'work'),
+
+    async fetch(url, options = {}) {
+      const method = (options.method || 'GET').toUpperCase();
+      const key = httpKey(method, url);
+      let res;
+      try {
+        res = await fetchImpl(url, options);
+      } catch (err) {
+        save('http', key, { error: errorInfo(err) });
+        throw err;
+      }
+      const buffer = Buffer.from(await res.arrayBuffer());
+      const contentType = res.headers.get('content-type');
+      save('http', key, { method, url: redactApiKey(url), status: res.status, contentType, ...encodeBody(buffer) });
+      return new Response(responseBody(res.status, buffer), { status: res.status, headers: contentType ? { 'content-type': contentType } : {} });
+    },
+
+    wrapStore(base) {
+      const store = { name: `recording ${base.name || 'store'}` };
+      for (const method of STORE_METHODS) {
+        store[method] = async (...args) => {
+          const key = storeKey(method, args);
+          const recordedArgs = clone(args);
+          try {
+            const result = await base[method](...args);
+            save('store', key, { method, args: recordedArgs, result: clone(result) });
+            return result;
+          } catch (err) {
+            save('store', key, { method, args: recordedArgs, error: errorInfo(err) });
+            throw err;
+          }
+        };
+      }
+      return store;
+    },
+
+    close(meta = {}) {
+      fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+        ...meta, recordedAt: new Date().toISOString(), httpExchanges: httpCount, storeCalls: storeCount,
+      }, null, 2));
+      console.log(`Recorded ${httpCount} HTTP exchange(s) and ${storeCount} store call(s) to ${dir}`);
+    },
+  };
+}
+
+function loadRecordings(dir) {
+  const byKey = new Map();
+  if (!fs.existsSync(dir)) return byKey;
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    if (!byKey.has(entry.key)) byKey.set(entry.key, []);
+    byKey.get(entry.key).push(entry);
+  }
+  return byKey;
+}
+
+/**
+ * Serves a recording made by createRecorder. Nothing reaches the network: an
+ * HTTP request or store call that was never recorded throws.
+ */
+export function createReplayer(dir) {
+  const manifestPath = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) throw new ConfigError(`No recording in ${dir} (missing manifest.json)`);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const http = loadRecordings(path.join(dir, 'http'));
+  const calls = loadRecordings(path.join(dir, 'store'));
+  const served = new Map();
+  fs.rmSync(path.join(dir, 'work'), { recursive: true, force: true });
+
+  function next(recordings, key, what) {
+    const list = recordings.get(key);
+    if (!list) throw new Error(`Not in the recording: ${what}`);
+    const n = served.get(key) || 0;
+    served.set(key, n + 1);
+    return list[Math.min(n, list.length - 1)];
+  }
+
+  return {
+    manifest,
+    workDir: path.join(dir, 'work'),
+
+    async fetch(url, options = {}) {
+      const method = (options.method || 'GET').toUpperCase();
+      const key = httpKey(method, url);
+      const entry = next(http, key, key);
+      if (entry.error) rethrow(entry.error);
+      const body = entry.base64 !== undefined ? Buffer.from(entry.base64, 'base64') : entry.body;
+      return new Response(responseBody(entry.status, body), { status: entry.status, headers: entry.contentType ? { 'content-type': entry.contentType } : {} });
+    },
+
+    // The base store is never touched
+    wrapStore() {
+      const store = { name: 'replay' };
+      for (const method of STORE_METHODS) {
+        store[method] = async (...args) => {
+          const key = storeKey(method, args);
+          const entry = next(calls, key, `store.${method}(${JSON.stringify(args).slice(1, -1)})`);
+          if (entry.error) rethrow(entry.error);
+          return clone(entry.result);
+        };
+      }
+      return store;
+    },
+
+    close() {
+      const unused = [...http.keys(), ...calls.keys()].filter(key => !served.has(key));
+      if (unused.length) console.warn(`Replay finished with ${unused.length} recorded request(s) never made, e.g. ${unused[0].slice(0, 120)}`);
+    },
+  };
+}
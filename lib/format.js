@@ -0,0 +1,31 @@
+// ── Cell Formatting ───────────────────────────────────────────────────────────
+
+// Values as the sheet shows them: M/D/YYYY dates (UTC), m:ss lengths
+
+export function sanitize(str) { return String(str).replace(/"/g, '""'); }
+
+export function formatDate(input) {
+  if (!input) return '';
+  try {
+    const d = typeof input === 'string' ? new Date(input.replace(' ', 'T') + 'Z') : new Date(input);
+    if (isNaN(d.getTime())) return '';
+    return `${d.getUTCMonth() + 1}/${d.getUTCDate()}/${d.getUTCFullYear()}`;
+  } catch { return ''; }
+}
+
+export function formatLength(totalSeconds) {
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+export function calculateDaysRanked(approvedDateString) {
+  const d = new Date(approvedDateString.replace(' ', 'T') + 'Z');
+  return Math.ceil((Date.now() - d.getTime()) / 86400000);
+}
+
+export function calculateDaysToFC(rankedDateString, scoreDateString) {
+  const [rm, rd, ry] = rankedDateString.split('/').map(Number);
+  const [sm, sd, sy] = scoreDateString.split('/').map(Number);
+  return Math.ceil((Date.UTC(sy, sm - 1, sd) - Date.UTC(ry, rm - 1, rd)) / 86400000);
+}
@@ -0,0 +1,187 @@
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+
+// ── HTTP API ──────────────────────────────────────────────────────────────────
+
+// A read-only JSON API over an in-memory snapshot of Data and History, so bots
+// can query the tracker instead of scraping the spreadsheet. Responses carry a
+// strong ETag; clients sending If-None-Match get a 304 until the data changes.
+//
+//   GET /                  snapshot info and endpoints
+//   GET /maps              unFC'd maps: minsr, maxsr, minar, maxar, minod, maxod, minlength, maxlength
+//                          (seconds), mindays, maxdays (days ranked), mods (best attempt, e.g. HDDT;
+//                          comma-separated for several, NM for nomod), limit, offset
+//   GET /maps/:beatmapId   one map
+//   GET /history           FC'd maps: from, to (FC date, YYYY-MM-DD), minsr, maxsr, limit, offset
+//   GET /players/:id       maps where that player holds the closest attempt
+
+const MAX_LIMIT = 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+class BadRequest extends Error {}
+
+function numberParam(params, name) {
+  if (!params.has(name) || params.get(name) === '') return null;
+  const value = Number(params.get(name));
+  if (!Number.isFinite(value)) throw new BadRequest(`${name} must be a number`);
+  return value;
+}
+
+function dateParam(params, name) {
+  if (!params.has(name) || params.get(name) === '') return null;
+  const value = params.get(name);
+  if (!DATE_RE.test(value)) throw new BadRequest(`${name} must be a YYYY-MM-DD date`);
+  return value;
+}
+
+// [param, field, 'min' | 'max']
+const MAP_RANGES = [
+  ['minsr', 'stars', 'min'], ['maxsr', 'stars', 'max'],
+  ['minar', 'ar', 'min'], ['maxar', 'ar', 'max'],
+  ['minod', 'od', 'min'], ['maxod', 'od', 'max'],
+  ['minlength', 'length', 'min'], ['maxlength', 'length', 'max'],
+  ['mindays', 'daysRanked', 'min'], ['maxdays', 'daysRanked', 'max'],
+];
+const HISTORY_RANGES = [['minsr', 'stars', 'min'], ['maxsr', 'stars', 'max']];
+
+function inRanges(record, ranges) {
+  return ranges.every(([field, bound, limit]) => {
+    const value = record[field];
+    if (value === null || value === undefined) return false;
+    return bound === 'min' ? value >= limit : value <= limit;
+  });
+}
+
+function rangeFilters(params, spec) {
+  return spec
+    .map(([name, field, bound]) => [field, bound, numberParam(params, name)])
+    .filter(([, , limit]) => limit !== null);
+}
+
+function page(params, items) {
+  const limit = numberParam(params, 'limit') ?? MAX_LIMIT;
+  const offset = numberParam(params, 'offset') ?? 0;
+  if (limit < 1 || limit > MAX_LIMIT || offset < 0) throw new BadRequest(`limit must be 1–${MAX_LIMIT} and offset at least 0`);
+  return { total: items.length, offset, count: Math.min(limit, Math.max(items.length - offset, 0)), items: items.slice(offset, offset + limit) };
+}
+
+function listMaps(snapshot, params) {
+  const ranges = rangeFilters(params, MAP_RANGES);
+  const mods = params.get('mods') ? params.get('mods').toUpperCase().split(',').map(m => m.trim()) : null;
+  const maps = snapshot.maps.filter(m => inRanges(m, ranges) && (!mods || mods.includes(m.mods || '')));
+  const { items, ...paging } = page(params, maps);
+  return { ...paging, maps: items };
+}
+
+function listHistory(snapshot, params) {
+  const ranges = rangeFilters(params, HISTORY_RANGES);
+  const from = dateParam(params, 'from');
+  const to = dateParam(params, 'to');
+  const history = snapshot.history.filter(m => inRanges(m, ranges) &&
+    (!from || (m.scoreDate && m.scoreDate >= from)) && (!to || (m.scoreDate && m.scoreDate <= to)));
+  const { items, ...paging } = page(params, history);
+  return { ...paging, maps: items };
+}
+
+function route(snapshot, pathname, params) {
+  if (pathname === '/') {
+    return {
+      loadedAt: snapshot.loadedAt,
+      ...snapshot.meta,
+      maps: snapshot.maps.length,
+      history: snapshot.history.length,
+      endpoints: ['/maps', '/maps/:beatmapId', '/history', '/players/:id'],
+    };
+  }
+  if (pathname === '/maps') return listMaps(snapshot, params);
+  if (pathname === '/history') return listHistory(snapshot, params);
+
+  let m = /^\/maps\/(\d+)$/.exec(pathname);
+  if (m) return snapshot.maps.find(map => map.beatmapId === Number(m[1])) ?? null;
+
+  m = /^\/players\/(\d+)$/.exec(pathname);
+  if (m) {
+    const maps = snapshot.maps.filter(map => map.player?.id === m[1]);
+    if (!maps.length) return null;
+    return { player: maps[0].player, count: maps.length, maps };
+  }
+  return null;
+}
+
+/**
+ * Serves the API on `port`/`host`. `loadSnapshot()` resolves to
+ * `{ meta, maps, history }` (records from lib/records.js); it is called on
+ * start, whenever `watchPath` changes (the tracker touches it after runs that
+ * change the sheets) and on `reload()`. A failed reload keeps the previous
+ * snapshot. Resolves once listening.
+ */
+export async function startApiServer({ port, host = '127.0.0.1', loadSnapshot, watchPath = null, pollMs = 5000 }) {
+  let snapshot = null;
+  let loading = null;
+
+  async function reload(reason) {
+    if (loading) return loading;
+    loading = (async () => {
+      try {
+        const next = await loadSnapshot();
+        snapshot = { ...next, loadedAt: new Date().toISOString() };
+        console.log(`[${snapshot.loadedAt}] Loaded ${snapshot.maps.length} map(s) and ${snapshot.history.length} History entries (${reason}).`);
+      } catch (err) {
+        console.error(`Could not reload data (${reason}), keeping the previous snapshot:`, err.errors?.[0]?.message || err.message);
+      } finally {
+        loading = null;
+      }
+    })();
+    return loading;
+  }
+
+  await reload('startup');
+  if (!snapshot) throw new Error('Could not load the initial snapshot');
+
+  if (watchPath) {
+    fs.watchFile(watchPath, { interval: pollMs }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs && curr.mtimeMs) reload('tracker run finished');
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*', ...headers });
+      res.end(body === undefined ? undefined : JSON.stringify(body, null, 2) + '\n');
+    };
+    if (req.method !== 'GET' && req.method !== 'HEAD') return send(405, { error: 'Only GET is supported' }, { Allow: 'GET, HEAD' });
+
+    const url = new URL(req.url, 'http://localhost');
+    let result;
+    try {
+      result = route(snapshot, url.pathname.replace(/\/+$/, '') || '/', url.searchParams);
+    } catch (err) {
+      if (err instanceof BadRequest) return send(400, { error: err.message });
+      console.error(`${req.method} ${req.url} failed:`, err);
+      return send(500, { error: 'Internal error' });
+    }
+    if (result === null) return send(404, { error: 'Not found' });
+
+    const body = JSON.stringify(result, null, 2) + '\n';
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    const headers = { ETag: etag, 'Cache-Control': 'no-cache', 'Last-Modified': new Date(snapshot.loadedAt).toUTCString() };
+    if (req.headers['if-none-match'] === etag) return send(304, undefined, headers);
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*', ...headers });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    server,
+    reload,
+    close() {
+      if (watchPath) fs.unwatchFile(watchPath);
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
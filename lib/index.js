@@ -0,0 +1,29 @@
+// ── Library Entry Point ───────────────────────────────────────────────────────
+
+// `import { createTracker } from 'no-fc-tracker'` runs any CLI command from code;
+// the building blocks below work on their own for other tools.
+
+export { createTracker } from './tracker.js';
+export { TrackerError, ConfigError, UsageError, ApiError, BudgetError } from './errors.js';
+
+// FC detection and replays
+export { isRankValid, areModsValid, isFCByCombo, isAmbiguousFC, attemptProgress, findBestScore } from './fc-detection.js';
+export { loadFCRules, describeFCRules, BUILTIN_PRESETS } from './fc-rules.js';
+export { buildOsr } from './osr.js';
+export { calculateDifficulty, calculatePerformance } from './difficulty.js';
+export { createOsuApi, redactApiKey } from './osu-api.js';
+
+// Modes, categories and mods
+export { MODES, getMode } from './modes.js';
+export { CATEGORIES, getCategory, withCategory, hasCategoryMods } from './categories.js';
+export { VALID_MODS, MOD_BITS, getModString, getModEnum } from './mods.js';
+export { formatDate, formatLength, calculateDaysRanked, calculateDaysToFC } from './format.js';
+
+// Stores and sheet layout
+export { createSheetsStore } from './sheets-store.js';
+export { createLocalStore, cellText } from './local-store.js';
+export { createDryRunStore, createPlan } from './dry-run.js';
+export { OUTPUT_COL, OUTPUT_ROW, COL, NUM_COLS, HEADERS, readDisplayRows } from './layout.js';
+export { readRecords, rowToRecord } from './records.js';
+export { findProblems, printProblems } from './sheet-check.js';
+export { QUERY_FIELDS, parseFilter, parseSort, runQuery, formatResults } from './query.js';
@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+
+// Small JSON state files (caches, ledgers, checkpoints) shared by the tracker's modules.
+
+export function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// Writes through a temp file so a crash mid-write never leaves a truncated file behind
+export function writeJsonFile(filePath, data, { pretty = false } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+  fs.renameSync(tmp, filePath);
+}
@@ -0,0 +1,71 @@
+// Column layout shared by the Data and History tables, whichever store backs them.
+
+export const OUTPUT_COL = 1;
+export const OUTPUT_ROW = 2;  // First data row (row 1 is header)
+export const COL = {
+  IMAGE:         1,  // A
+  BEATMAP:       2,  // B
+  SR:            3,  // C
+  LENGTH:        4,  // D
+  BPM:           5,  // E
+  CS:            6,  // F
+  AR:            7,  // G
+  OD:            8,  // H
+  HP:            9,  // I
+  CREATOR:      10,  // J
+  BEATMAP_ID:   11,  // K
+  BEATMAPSET_ID:12,  // L
+  RANKED_DATE:  13,  // M
+  DAYS_RANKED:  14,  // N
+  PLAYER:       15,  // O
+  SCORE_DATE:   16,  // P
+  RANK:         17,  // Q
+  MODS:         18,  // R
+  COMBO:        19,  // S
+  MAX_COMBO:    20,  // T
+  PCT_FC:       21,  // U
+  // Data only: the difficulty of the best attempt's mods (nomod or the category's
+  // mods without one), from lib/difficulty.js; osu!standard only
+  MOD_SR:       22,  // V
+  MOD_AR:       23,  // W
+  MOD_OD:       24,  // X
+  MOD_CS:       25,  // Y
+  MOD_BPM:      26,  // Z
+  FC_PP:        27,  // AA
+};
+export const NUM_COLS = Object.keys(COL).length;
+
+// Header row labels, used when a table is created outside the spreadsheet
+export const HEADERS = {
+  Data: ['', 'Beatmap', 'SR', 'Length', 'BPM', 'CS', 'AR', 'OD', 'HP', 'Mapper', 'Beatmap ID', 'Beatmapset ID',
+         'Ranked Date', 'Days Ranked', 'Player', 'Score Date', 'Rank', 'Mods', 'Combo', 'Max Combo', '% FC',
+         'SR (mods)', 'AR (mods)', 'OD (mods)', 'CS (mods)', 'BPM (mods)', 'FC pp'],
+  History: ['', 'Beatmap', 'SR', 'Length', 'BPM', 'CS', 'AR', 'OD', 'HP', 'Mapper', 'Beatmap ID', 'Beatmapset ID',
+            'Ranked Date', 'Days to FC', 'Player', 'Score Date', 'Rank', 'Mods', 'Combo', 'Max Combo'],
+};
+// Data rows of maps that lost ranked status up to % FC, with the status and the date it was noticed
+HEADERS.Unranked = [...HEADERS.Data.slice(0, COL.PCT_FC), 'Status', 'Unranked On'];
+
+export function colLetter(n) {
+  let s = '';
+  while (n > 0) {
+    s = String.fromCharCode(64 + ((n - 1) % 26) + 1) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+/**
+ * Reads rows as they should be copied elsewhere: formula strings for cells that
+ * hold formulas (hyperlinks, images), formatted display text for everything else
+ * (dates, "4:10" lengths). Needs two reads since Sheets renders one way per call.
+ */
+export async function readDisplayRows(store, sheet, startRow, numRows, numCols) {
+  const [formulaRows, formattedRows] = await Promise.all([
+    store.get(sheet, startRow, OUTPUT_COL, numRows, numCols, 'FORMULA'),
+    store.get(sheet, startRow, OUTPUT_COL, numRows, numCols, 'FORMATTED_VALUE'),
+  ]);
+  return formulaRows.map((row, r) => row.map((val, i) =>
+    typeof val === 'string' && val.startsWith('=') ? val : (formattedRows[r]?.[i] ?? '')
+  ));
+}
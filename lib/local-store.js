@@ -0,0 +1,172 @@
+import fs from 'fs';
+import { COL, HEADERS } from './layout.js';
+import { writeJsonFile } from './json-file.js';
+
+// ── Cell Rendering ────────────────────────────────────────────────────────────
+
+// Cells are stored the way they were entered, like Sheets with USER_ENTERED.
+// Reads evaluate the few formulas the tracker writes so that FORMATTED_VALUE
+// and UNFORMATTED_VALUE reads return what Google Sheets would display.
+
+const HYPERLINK_RE = /^=HYPERLINK\("((?:[^"]|"")*)",\s*"((?:[^"]|"")*)"\)$/s;
+const IMAGE_RE     = /^=IMAGE\(/;
+const DATE_RE      = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+export function cellText(cell) {
+  if (typeof cell !== 'string' || !cell.startsWith('=')) return cell ?? '';
+  const link = HYPERLINK_RE.exec(cell);
+  if (link) return link[2].replace(/""/g, '"');
+  if (IMAGE_RE.test(cell)) return '';
+  return cell;
+}
+
+function render(cell, renderOption) {
+  if (renderOption === 'FORMULA') return cell ?? '';
+  const value = cellText(cell);
+  if (renderOption === 'FORMATTED_VALUE') return typeof value === 'number' ? String(value) : value;
+  return value;
+}
+
+function sortKey(cell) {
+  const value = cellText(cell);
+  if (typeof value === 'number') return value;
+  const date = DATE_RE.exec(value);
+  if (date) return Date.UTC(Number(date[3]), Number(date[1]) - 1, Number(date[2]));
+  if (value !== '' && !isNaN(Number(value))) return Number(value);
+  return String(value).toLowerCase();
+}
+
+function compareKeys(a, b) {
+  if (typeof a === typeof b) return a < b ? -1 : a > b ? 1 : 0;
+  return typeof a === 'number' ? -1 : 1; // numbers before text, as in Sheets
+}
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Local JSON file implementation of the tracker store. The file holds one
+ * array of rows per sheet (`{ "Data": [[...], ...], "History": [...] }`) in the
+ * same column layout as the spreadsheet; index 0 is the header row.
+ * Pass `null` as the path to keep everything in memory.
+ */
+export function createLocalStore(filePath) {
+  let sheets = {};
+
+  function table(sheet) {
+    if (!sheets[sheet]) sheets[sheet] = [];
+    return sheets[sheet];
+  }
+
+  function save() {
+    if (filePath) writeJsonFile(filePath, sheets);
+  }
+
+  function write(sheet, startRow, startCol, values) {
+    const rows = table(sheet);
+    values.forEach((rowValues, i) => {
+      const ri = startRow - 1 + i;
+      while (rows.length <= ri) rows.push([]);
+      const row = rows[ri];
+      rowValues.forEach((v, j) => {
+        const ci = startCol - 1 + j;
+        while (row.length < ci) row.push('');
+        row[ci] = v ?? '';
+      });
+    });
+  }
+
+  return {
+    name: 'local',
+
+    async init() {
+      if (filePath && fs.existsSync(filePath)) {
+        sheets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+      for (const [sheet, header] of Object.entries(HEADERS)) {
+        if (!sheets[sheet]?.length) sheets[sheet] = [[...header]];
+      }
+    },
+
+    async hasSheet(sheet) {
+      return !!sheets[sheet]?.length;
+    },
+
+    async ensureSheet(sheet, header) {
+      if (sheets[sheet]?.length) {
+        // Label columns added to the layout since the sheet was created
+        const current = sheets[sheet][0];
+        if (current.length >= header.length) return;
+        sheets[sheet][0] = [...current, ...header.slice(current.length)];
+      } else {
+        sheets[sheet] = [[...header]];
+      }
+      save();
+    },
+
+    async get(sheet, startRow, startCol, numRows, numCols, renderOption = 'UNFORMATTED_VALUE') {
+      const rows = table(sheet).slice(startRow - 1, startRow - 1 + numRows);
+      const values = rows.map(row => {
+        const out = row.slice(startCol - 1, startCol - 1 + numCols).map(c => render(c, renderOption));
+        while (out.length && out[out.length - 1] === '') out.pop();
+        return out;
+      });
+      // Sheets omits trailing empty rows from a values range
+      while (values.length && values[values.length - 1].length === 0) values.pop();
+      return values;
+    },
+
+    async set(sheet, startRow, startCol, values) {
+      write(sheet, startRow, startCol, values);
+      save();
+    },
+
+    async batchSet(ranges) {
+      for (const r of ranges) write(r.sheet, r.startRow, r.startCol, r.values);
+      save();
+    },
+
+    async clear(sheet) {
+      sheets[sheet] = [];
+      save();
+    },
+
+    // `col` null: the last row with anything in it
+    async lastRow(sheet, col = COL.BEATMAP_ID) {
+      const rows = table(sheet);
+      const filled = cell => cell !== undefined && cell !== '';
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (col === null ? rows[i].some(filled) : filled(rows[i][col - 1])) return i + 1;
+      }
+      return 0;
+    },
+
+    async deleteRow(sheet, rowNumber) {
+      table(sheet).splice(rowNumber - 1, 1);
+      save();
+    },
+
+    async sort(sheet, startRow, numCols, sortSpecs) {
+      const lastRow = await this.lastRow(sheet);
+      if (lastRow < startRow) return;
+      const rows = table(sheet);
+      const body = rows.slice(startRow - 1, lastRow);
+      body.sort((a, b) => {
+        for (const s of sortSpecs) {
+          const cmp = compareKeys(sortKey(a[s.col - 1]), sortKey(b[s.col - 1]));
+          if (cmp) return s.asc ? cmp : -cmp;
+        }
+        return 0;
+      });
+      rows.splice(startRow - 1, body.length, ...body);
+      save();
+    },
+
+    // Row counts and number formats only matter to the spreadsheet
+    async ensureRows() {},
+    async formatRows() {},
+
+    async completeMove(fromSheet, fromRow) {
+      await this.deleteRow(fromSheet, fromRow);
+    },
+  };
+}
@@ -0,0 +1,54 @@
+// Per-ruleset settings. Each mode tracks its own ranked maps (converts are not
+// included) in its own pair of sheets.
+
+const EZ = 2, TD = 4, HT = 256, SO = 4096;
+// 4K–9K, 1K–3K and key co-op change the playfield, so the map itself is not what was played
+const MANIA_KEY_MODS = 32768 | 65536 | 131072 | 262144 | 524288 | 16777216 | 33554432 | 67108864 | 134217728 | 268435456;
+
+/**
+ * id:          API and .osr game mode number
+ * urlName:     ruleset segment in osu.ppy.sh beatmap and profile links
+ * sheetPrefix: prepended to sheet names ('Taiko Data'; also mod category sheets)
+ * invalidMods: mods whose scores never count
+ * fcRule:      'combo' — combo within one of max combo, with replay verification
+ *                for ambiguous scores (standard's slider ends don't break combo);
+ *              'no-miss' — zero misses
+ * progress:    how close a non-FC attempt got (the % FC column): 'combo' for
+ *                combo / max combo, 'notes' for notes not missed / all notes
+ *                (the API reports no max combo for mania)
+ */
+export const MODES = {
+  osu: {
+    key: 'osu', id: 0, name: 'osu!standard', urlName: 'osu',
+    sheetPrefix: '', dataSheet: 'Data', historySheet: 'History', statsSheet: 'Stats', unrankedSheet: 'Unranked',
+    invalidMods: EZ | TD | HT | SO,
+    fcRule: 'combo', progress: 'combo',
+  },
+  taiko: {
+    key: 'taiko', id: 1, name: 'osu!taiko', urlName: 'taiko',
+    sheetPrefix: 'Taiko ', dataSheet: 'Taiko Data', historySheet: 'Taiko History', statsSheet: 'Taiko Stats', unrankedSheet: 'Taiko Unranked',
+    invalidMods: EZ | HT,
+    fcRule: 'no-miss', progress: 'combo',
+  },
+  catch: {
+    key: 'catch', id: 2, name: 'osu!catch', urlName: 'fruits',
+    sheetPrefix: 'Catch ', dataSheet: 'Catch Data', historySheet: 'Catch History', statsSheet: 'Catch Stats', unrankedSheet: 'Catch Unranked',
+    invalidMods: EZ | HT,
+    fcRule: 'no-miss', progress: 'combo',
+  },
+  mania: {
+    key: 'mania', id: 3, name: 'osu!mania', urlName: 'mania',
+    sheetPrefix: 'Mania ', dataSheet: 'Mania Data', historySheet: 'Mania History', statsSheet: 'Mania Stats', unrankedSheet: 'Mania Unranked',
+    invalidMods: EZ | HT | MANIA_KEY_MODS,
+    fcRule: 'no-miss', progress: 'notes',
+  },
+};
+
+const ALIASES = { std: 'osu', standard: 'osu', fruits: 'catch', ctb: 'catch', 0: 'osu', 1: 'taiko', 2: 'catch', 3: 'mania' };
+
+export function getMode(name = 'osu') {
+  const key = String(name).toLowerCase();
+  const mode = MODES[key] || MODES[ALIASES[key]];
+  if (!mode) throw new Error(`Unknown mode "${name}" (expected ${Object.keys(MODES).join(', ')})`);
+  return mode;
+}
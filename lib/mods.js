@@ -0,0 +1,28 @@
+// ── Mods ──────────────────────────────────────────────────────────────────────
+
+// osu! API mod bits and the acronyms shown in the Mods column
+
+export const VALID_MODS = { 0:'NM',1:'NF',2:'EZ',4:'TD',8:'HD',16:'HR',32:'SD',64:'DT',256:'HT',512:'NC',1024:'FL',4096:'SO',16384:'PF',
+  32768:'4K',65536:'5K',131072:'6K',262144:'7K',524288:'8K',1048576:'FI',16777216:'9K',67108864:'1K',134217728:'3K',268435456:'2K',1073741824:'MR' };
+export const MOD_BITS = Object.fromEntries(Object.entries(VALID_MODS).map(([bit, name]) => [name, Number(bit)]));
+
+export function getModString(modsEnum) {
+  if (modsEnum === 0) return 'NM';
+  if (modsEnum & 512) modsEnum &= ~64;    // NC implies DT — drop DT bit
+  if (modsEnum & 16384) modsEnum &= ~32;  // PF implies SD — drop SD bit
+  let s = '';
+  for (const flag of Object.keys(VALID_MODS).map(Number).filter(f => f > 0).sort((a, b) => a - b)) {
+    if (modsEnum & flag) s += VALID_MODS[flag];
+  }
+  return s;
+}
+
+export function getModEnum(modString) {
+  if (!modString || modString === 'NM') return 0;
+  let e = 0;
+  for (let i = 0; i < modString.length; i += 2) {
+    const mod = modString.substr(i, 2);
+    if (MOD_BITS[mod]) e |= MOD_BITS[mod];
+  }
+  return e;
+}
@@ -0,0 +1,170 @@
+// ── Webhook Notifications ─────────────────────────────────────────────────────
+
+// Events (all carry `type`, `mode` and `category`, the mod category's name or null):
+//   fc       { beatmap, daysToFC }  map FC'd and moved to History
+//   deleted  { beatmap, daysToFC }  map FC'd soon after ranking (the recent-FC window) and removed
+//   added    { maps }               newly ranked maps without an FC added to Data
+//   failed   { command, error }     a command or daemon job threw
+// where beatmap/maps entries are `{ id, title, url, cover, stars, player: { id, name, url }, mods }`.
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 2000;
+const REQUEST_TIMEOUT_MS = 15000;
+const DISCORD_DESCRIPTION_LIMIT = 4000;
+const COLORS = { fc: 0x2ecc71, deleted: 0xf1c40f, added: 0x3498db, failed: 0xe74c3c, digest: 0x9b59b6 };
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Webhook URLs embed their secret token, so logs only show the host
+function targetLabel(target) {
+  try { return `${target.type} webhook at ${new URL(target.url).host}`; } catch { return `${target.type} webhook`; }
+}
+
+function truncate(text, limit) {
+  return text.length <= limit ? text : text.slice(0, limit - 1) + '…';
+}
+
+function playerLink(player) {
+  if (!player?.name) return 'unknown player';
+  return player.url ? `[${player.name}](${player.url})` : player.name;
+}
+
+function mapLink(map) {
+  return `[${map.title}](${map.url})`;
+}
+
+// One line per event, for digests
+function summaryLine(event) {
+  switch (event.type) {
+    case 'fc':      return `${mapLink(event.beatmap)} — ${playerLink(event.beatmap.player)} (${event.beatmap.mods}) after ${event.daysToFC} days`;
+    case 'deleted': return `${mapLink(event.beatmap)} — ${playerLink(event.beatmap.player)} (${event.beatmap.mods}) after ${event.daysToFC} days, removed`;
+    case 'added':   return event.maps.map(m => `${mapLink(m)} (${m.stars.toFixed(2)}★)`).join('\n');
+    case 'failed':  return `\`${event.command}\` failed: ${event.error}`;
+    default:        return event.type;
+  }
+}
+
+function discordEmbed(event) {
+  switch (event.type) {
+    case 'fc':
+    case 'deleted': {
+      const b = event.beatmap;
+      const what = event.type === 'fc'
+        ? `FC'd by **${playerLink(b.player)}** (${b.mods}) after **${event.daysToFC} days** and moved to History.`
+        : `FC'd by **${playerLink(b.player)}** (${b.mods}) **${event.daysToFC} days** after being ranked, so it was removed from the list.`;
+      return {
+        title: b.title, url: b.url, description: what, image: b.cover ? { url: b.cover } : undefined, color: COLORS[event.type],
+        footer: event.category ? { text: `${event.category} list` } : undefined,
+      };
+    }
+    case 'added':
+      return {
+        title: `${event.maps.length} new ranked map(s) without an FC`,
+        description: truncate(summaryLine(event), DISCORD_DESCRIPTION_LIMIT),
+        color: COLORS.added,
+      };
+    case 'failed':
+      return { title: `Run failed: ${event.command}`, description: truncate(String(event.error), DISCORD_DESCRIPTION_LIMIT), color: COLORS.failed };
+    default:
+      return { title: event.type };
+  }
+}
+
+function discordDigest(events, title) {
+  const sections = [
+    ['FC\'d', events.filter(e => e.type === 'fc')],
+    ['Removed as recent FCs', events.filter(e => e.type === 'deleted')],
+    ['Added', events.filter(e => e.type === 'added')],
+    ['Failures', events.filter(e => e.type === 'failed')],
+  ].filter(([, list]) => list.length);
+  const description = sections
+    .map(([heading, list]) => `**${heading}**\n${list.map(summaryLine).join('\n')}`)
+    .join('\n\n');
+  return { embeds: [{ title, description: truncate(description, DISCORD_DESCRIPTION_LIMIT), color: COLORS.digest }] };
+}
+
+/**
+ * Sends tracker events to webhook targets (`{ type: 'discord' | 'json', url }`).
+ * Discord targets get embeds; JSON targets get the event objects as they are.
+ * With `digest`, events are held until `flush()` and sent as one message.
+ * Without it, each event is sent right away; `flush()` waits for the sends.
+ * Failed deliveries are retried with exponential backoff (honouring
+ * Retry-After on 429) and then logged, never thrown: a notification outage
+ * must not fail a run. `retryBaseMs` is the first retry's delay.
+ */
+export function createNotifier({ targets = [], digest = false, digestTitle = 'Tracker run', fetchImpl = fetch, retryBaseMs = RETRY_BASE_MS } = {}) {
+  const queued = [];
+  const sending = new Set();
+
+  async function post(target, body) {
+    for (let attempt = 1; ; attempt++) {
+      let retryMs = retryBaseMs * 2 ** (attempt - 1);
+      let reason;
+      try {
+        const res = await fetchImpl(target.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        if (res.ok) return;
+        reason = `HTTP ${res.status}`;
+        if (res.status === 429) {
+          const retryAfter = parseFloat(res.headers.get('retry-after'));
+          if (Number.isFinite(retryAfter)) retryMs = retryAfter * 1000;
+        } else if (res.status < 500) {
+          attempt = MAX_ATTEMPTS; // a bad request won't get better
+        }
+      } catch (err) {
+        reason = err.message;
+      }
+      if (attempt >= MAX_ATTEMPTS) {
+        console.error(`Notification to ${targetLabel(target)} failed: ${reason}`);
+        return;
+      }
+      await sleep(retryMs);
+    }
+  }
+
+  function send(bodyFor) {
+    for (const target of targets) {
+      const body = bodyFor(target);
+      if (!body) continue;
+      const p = post(target, body).finally(() => sending.delete(p));
+      sending.add(p);
+    }
+  }
+
+  function sendEvents(events) {
+    send(target => {
+      if (target.type === 'json') return events.length === 1 ? events[0] : { type: 'digest', title: digestTitle, events };
+      if (events.length === 1) return { embeds: [discordEmbed(events[0])] };
+      return discordDigest(events, digestTitle);
+    });
+  }
+
+  return {
+    get enabled() { return targets.length > 0; },
+
+    notify(event) {
+      if (!targets.length) return;
+      const full = { ...event, timestamp: new Date().toISOString() };
+      if (digest) queued.push(full);
+      else sendEvents([full]);
+    },
+
+    async flush() {
+      if (queued.length) sendEvents(queued.splice(0));
+      while (sending.size) await Promise.all(sending);
+    },
+  };
+}
+
+// DISCORD_WEBHOOK_URL and WEBHOOK_URL each take a comma-separated list
+export function webhookTargetsFromEnv(env = process.env) {
+  const list = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+  return [
+    ...list(env.DISCORD_WEBHOOK_URL).map(url => ({ type: 'discord', url })),
+    ...list(env.WEBHOOK_URL).map(url => ({ type: 'json', url })),
+  ];
+}
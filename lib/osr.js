@@ -0,0 +1,56 @@
+// ── .osr Builder ──────────────────────────────────────────────────────────────
+
+// get_replay only returns the LZMA replay stream; verifiers need a full .osr
+// file, so the header is rebuilt from the get_scores entry.
+
+function writeOsrString(parts, str) {
+  if (!str) { parts.push(Buffer.from([0x00])); return; }
+  const strBuf = Buffer.from(str, 'utf8');
+  parts.push(Buffer.from([0x0b]));
+  let len = strBuf.length;
+  const lenBytes = [];
+  do {
+    let byte = len & 0x7f;
+    len >>>= 7;
+    if (len !== 0) byte |= 0x80;
+    lenBytes.push(byte);
+  } while (len !== 0);
+  parts.push(Buffer.from(lenBytes));
+  parts.push(strBuf);
+}
+
+// score: a get_scores entry; replayData: the decoded get_replay content; modeId: API game mode
+export function buildOsr(score, beatmapMd5, replayData, modeId = 0) {
+  const parts = [];
+  const u1  = v => { const b = Buffer.allocUnsafe(1); b.writeUInt8(v);       parts.push(b); };
+  const u2  = v => { const b = Buffer.allocUnsafe(2); b.writeUInt16LE(v);    parts.push(b); };
+  const i4  = v => { const b = Buffer.allocUnsafe(4); b.writeInt32LE(v);     parts.push(b); };
+  const i8  = v => { const b = Buffer.allocUnsafe(8); b.writeBigInt64LE(v);  parts.push(b); };
+
+  u1(modeId); // game mode
+  i4(20241212); // game version
+  writeOsrString(parts, beatmapMd5);
+  writeOsrString(parts, score.username || '');
+  writeOsrString(parts, ''); // replay hash
+  u2(parseInt(score.count300));
+  u2(parseInt(score.count100));
+  u2(parseInt(score.count50));
+  u2(parseInt(score.countgeki));
+  u2(parseInt(score.countkatu));
+  u2(parseInt(score.countmiss));
+  i4(parseInt(score.score));
+  u2(parseInt(score.maxcombo));
+  u1(score.perfect === '1' ? 1 : 0);
+  i4(parseInt(score.enabled_mods));
+  writeOsrString(parts, ''); // life bar graph
+
+  // Windows FILETIME: 100-ns intervals since 1601-01-01
+  const ms = BigInt(new Date(score.date.replace(' ', 'T') + 'Z').getTime());
+  i8(ms * 10000n + 116444736000000000n);
+
+  i4(replayData.length);
+  parts.push(replayData);
+  i8(BigInt(parseInt(score.score_id) || 0));
+
+  return Buffer.concat(parts);
+}
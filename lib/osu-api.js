@@ -0,0 +1,206 @@
+import { createApiCache } from './api-cache.js';
+import { hasCategoryMods } from './categories.js';
+import { createTokenBucket } from './token-bucket.js';
+import { ApiError, BudgetError, ConfigError } from './errors.js';
+
+// ── osu! API Client ───────────────────────────────────────────────────────────
+
+const API_BASE = 'https://osu.ppy.sh/api';
+// Most maps one get_beatmaps call returns; longer ranges are paged by approved_date
+export const BEATMAPS_PAGE_LIMIT = 500;
+// Statuses worth another try; anything else is returned (or thrown) right away
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const MAX_RETRY_DELAY_MS = 60000;
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// For logs and fixtures, which must never contain the key
+export function redactApiKey(url) {
+  return String(url).replace(/([?&]k=)[^&]*/g, '$1REDACTED');
+}
+
+/**
+ * osu! API v1 for one mode (from lib/modes.js, optionally withCategory), plus
+ * the .osu downloads. Every request goes through one token bucket refilling
+ * every `rateLimitMs` (at most `burst` back to back), which slows down after an
+ * HTTP 429; get_replay also stays under `replaysPerMinute`. 429s, 5xx responses,
+ * timeouts (`timeoutMs`) and network errors are retried up to `maxRetries`
+ * times with exponential backoff and jitter, honouring Retry-After. `budget`
+ * caps the requests of a run (retries included): past it, requests throw
+ * BudgetError. `usage()` has per-endpoint counters and `resetUsage()` starts a
+ * new run. get_beatmaps and get_scores responses for single maps are cached in
+ * `cacheDir` (see lib/api-cache.js), only in memory with `readOnlyCache`. HTTP
+ * errors throw ApiError. `scoreLimit` caps how many scores of each get_scores
+ * query a category keeps.
+ */
+export function createOsuApi({
+  apiKey, mode, cacheDir, scoreLimit = 50,
+  rateLimitMs = 1000, burst = 3, replaysPerMinute = 10,
+  timeoutMs = 30000, maxRetries = 3, retryBaseMs = 2000, budget = null,
+  readOnlyCache = false,
+  fetchImpl = (...args) => fetch(...args),
+}) {
+  const cache = createApiCache(cacheDir, { readOnly: readOnlyCache });
+  const bucket = createTokenBucket({ intervalMs: rateLimitMs, capacity: burst });
+  // Half the allowance as a burst and the rest spread out, so no minute sees more
+  const replayBurst = Math.max(1, Math.floor(replaysPerMinute / 2));
+  const replayBucket = createTokenBucket({
+    intervalMs: replaysPerMinute > 0 ? 60000 / Math.max(1, replaysPerMinute - replayBurst) : 0,
+    capacity: replayBurst,
+    maxFactor: 1,
+  });
+  let counters = {};
+  let used = 0;
+
+  function url(endpoint, params) {
+    if (!apiKey) throw new ConfigError('An osu! API key is required');
+    const query = new URLSearchParams({ k: apiKey, m: String(mode.id) });
+    for (const [key, value] of Object.entries(params)) if (value !== null && value !== undefined) query.set(key, String(value));
+    return `${API_BASE}/${endpoint}?${query}`;
+  }
+
+  function counter(endpoint) {
+    return counters[endpoint] ||= { requests: 0, retries: 0, failures: 0, throttled: 0 };
+  }
+
+  // Full jitter, but never sooner than the server's Retry-After
+  function retryDelay(attempt, res) {
+    const backoff = Math.random() * Math.min(MAX_RETRY_DELAY_MS, retryBaseMs * 2 ** (attempt - 1));
+    const retryAfter = parseFloat(res?.headers.get('retry-after'));
+    return Math.round(Number.isFinite(retryAfter) ? Math.max(backoff, retryAfter * 1000) : backoff);
+  }
+
+  /**
+   * One request through the limiter and the retries. Resolves to the last
+   * response whatever its status, so callers can tell "not available" apart
+   * from errors; throws when no response arrived at all.
+   */
+  async function send(endpoint, requestUrl) {
+    const stats = counter(endpoint);
+    for (let attempt = 1; ; attempt++) {
+      if (budget !== null && used >= budget) {
+        throw new BudgetError(`osu! API request budget of ${budget} used up`);
+      }
+      // Counted before waiting, so requests queued side by side can't overshoot the budget
+      used++;
+      stats.requests++;
+      if (endpoint === 'get_replay') {
+        await replayBucket.take(ms => { if (ms > 1000) console.log(`Replay rate limit hit, waiting ${Math.ceil(ms / 1000)}s...`); });
+      }
+      await bucket.take();
+
+      let res = null, error = null;
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(new ApiError(`timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+      try {
+        res = await fetchImpl(requestUrl, { signal: controller.signal });
+      } catch (err) {
+        error = controller.signal.aborted ? controller.signal.reason : err;
+      } finally {
+        clearTimeout(timer);
+      }
+      if (res?.status === 429) {
+        stats.throttled++;
+        bucket.slowDown();
+      } else if (res?.ok) {
+        bucket.recover();
+      }
+
+      if ((error || RETRY_STATUSES.has(res.status)) && attempt <= maxRetries) {
+        stats.retries++;
+        const waitMs = retryDelay(attempt, res);
+        console.log(`osu! API ${endpoint} ${error ? error.message : `HTTP ${res.status}`}, retrying in ${(waitMs / 1000).toFixed(1)}s... (attempt ${attempt})`);
+        await res?.body?.cancel();
+        await sleep(waitMs);
+        continue;
+      }
+      if (error || !res.ok) stats.failures++;
+      if (error) throw error;
+      return res;
+    }
+  }
+
+  async function requestContent(requestUrl, endpoint = new URL(requestUrl).pathname.split('/').pop()) {
+    try {
+      const res = await send(endpoint, requestUrl);
+      if (!res.ok) throw new ApiError(`HTTP ${res.status}: ${await res.text()}`, { status: res.status });
+      return await res.text();
+    } catch (err) {
+      console.error(`API request failed for ${redactApiKey(requestUrl)}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  const requestJson = async (endpoint, params) => JSON.parse(await requestContent(url(endpoint, params), endpoint));
+
+  // Categories keep their own scores entry, so incremental refreshes of each sheet are tracked separately
+  const scoresKind = mode.category ? `scores-${mode.category.key}` : 'scores';
+
+  // The unfiltered leaderboard plus each of the category's mod combinations, merged
+  // and cut down to scores with the category's mods, highest score first
+  async function getCategoryScores(beatmapID) {
+    const byId = new Map();
+    for (const mods of [null, ...mode.category.queryMasks]) {
+      const scores = await requestJson('get_scores', { b: beatmapID, mods }) || [];
+      for (const score of scores.slice(0, scoreLimit)) {
+        if (hasCategoryMods(parseInt(score.enabled_mods), mode.category)) byId.set(score.score_id, score);
+      }
+    }
+    return [...byId.values()].sort((a, b) => parseInt(b.score) - parseInt(a.score));
+  }
+
+  return {
+    cache,
+    requestContent,
+
+    // get_beatmaps for one map; served from the cache when it is younger than maxAgeMs
+    async getBeatmap(beatmapID, maxAgeMs = 0) {
+      const cached = cache.get(beatmapID, 'beatmap', maxAgeMs);
+      if (cached) return cached;
+      const beatmapData = (await requestJson('get_beatmaps', { b: beatmapID }))[0] || null;
+      if (beatmapData) cache.put(beatmapID, 'beatmap', beatmapData);
+      return beatmapData;
+    },
+
+    // Maps ranked, loved etc. after `since` (YYYY-MM-DD or YYYY-MM-DD HH:MM:SS, UTC),
+    // oldest first; at most BEATMAPS_PAGE_LIMIT of them
+    async getBeatmapsSince(since) {
+      return await requestJson('get_beatmaps', { since, approved: 1, limit: BEATMAPS_PAGE_LIMIT }) || [];
+    },
+
+    cacheBeatmap(beatmap) {
+      cache.put(beatmap.beatmap_id, 'beatmap', beatmap);
+    },
+
+    async getScores(beatmapID) {
+      const scores = mode.category ? await getCategoryScores(beatmapID) : await requestJson('get_scores', { b: beatmapID }) || [];
+      cache.put(beatmapID, scoresKind, scores);
+      return scores;
+    },
+
+    // When this map's scores (for this mode's category) were last fetched, 0 if never
+    scoresFetchedAt(beatmapID) {
+      return cache.fetchedAt(beatmapID, scoresKind);
+    },
+
+    // The raw response: callers tell "not available" apart from HTTP errors
+    getReplay(beatmapID, userID, mods) {
+      return send('get_replay', url('get_replay', { b: beatmapID, u: userID, mods }));
+    },
+
+    // The .osu file, which is served outside the API
+    downloadBeatmapFile(beatmapID) {
+      return send('osu', `https://osu.ppy.sh/osu/${beatmapID}`);
+    },
+
+    // Requests made since the client was created or resetUsage(), by endpoint
+    usage() {
+      const total = Object.values(counters).reduce((sum, c) => sum + c.requests, 0);
+      return { total, budget, endpoints: structuredClone(counters) };
+    },
+
+    resetUsage() {
+      counters = {};
+      used = 0;
+    },
+  };
+}
@@ -0,0 +1,191 @@
+import { COL, HEADERS } from './layout.js';
+
+// ── Map Queries ───────────────────────────────────────────────────────────────
+
+// Filters, sorts and prints map records (lib/records.js) for the `query`
+// command. Fields are named after sheet columns and labelled with the sheet's
+// own headers, so output lines up with Data and History.
+
+const mapName = r => `${r.artist} - ${r.title} [${r.version}]`;
+
+// name: { col, get(record), type }; type picks how values parse and compare
+export const QUERY_FIELDS = {
+  map:      { col: COL.BEATMAP,       get: mapName,          type: 'text' },
+  sr:       { col: COL.SR,            get: r => r.stars,     type: 'num', digits: 2 },
+  length:   { col: COL.LENGTH,        get: r => r.length,    type: 'length' },
+  bpm:      { col: COL.BPM,           get: r => r.bpm,       type: 'num' },
+  cs:       { col: COL.CS,            get: r => r.cs,        type: 'num' },
+  ar:       { col: COL.AR,            get: r => r.ar,        type: 'num' },
+  od:       { col: COL.OD,            get: r => r.od,        type: 'num' },
+  hp:       { col: COL.HP,            get: r => r.hp,        type: 'num' },
+  mapper:   { col: COL.CREATOR,       get: r => r.mapper?.name ?? null, type: 'text' },
+  id:       { col: COL.BEATMAP_ID,    get: r => r.beatmapId, type: 'num' },
+  set:      { col: COL.BEATMAPSET_ID, get: r => r.beatmapsetId, type: 'num' },
+  ranked:   { col: COL.RANKED_DATE,   get: r => r.rankedDate, type: 'date' },
+  days:     { col: COL.DAYS_RANKED,   get: r => r.daysRanked ?? r.daysToFC ?? null, type: 'num' },
+  player:   { col: COL.PLAYER,        get: r => r.player?.name ?? null, type: 'text' },
+  date:     { col: COL.SCORE_DATE,    get: r => r.scoreDate, type: 'date' },
+  rank:     { col: COL.RANK,          get: r => r.rank,      type: 'text' },
+  mods:     { col: COL.MODS,          get: r => r.mods ?? '', type: 'mods' },
+  combo:    { col: COL.COMBO,         get: r => r.combo,     type: 'num' },
+  maxcombo: { col: COL.MAX_COMBO,     get: r => r.maxCombo,  type: 'num' },
+  pct:      { col: COL.PCT_FC,        get: r => r.pctFC,     type: 'num', digits: 2, data: true },
+  modsr:    { col: COL.MOD_SR,        get: r => r.modStars,  type: 'num', digits: 2, data: true },
+  modar:    { col: COL.MOD_AR,        get: r => r.modAr,     type: 'num', data: true },
+  modod:    { col: COL.MOD_OD,        get: r => r.modOd,     type: 'num', data: true },
+  modcs:    { col: COL.MOD_CS,        get: r => r.modCs,     type: 'num', data: true },
+  modbpm:   { col: COL.MOD_BPM,       get: r => r.modBpm,    type: 'num', data: true },
+  fcpp:     { col: COL.FC_PP,         get: r => r.fcPp,      type: 'num', data: true },
+};
+
+export const DEFAULT_COLUMNS = {
+  Data: ['map', 'sr', 'length', 'bpm', 'ar', 'od', 'days', 'player', 'mods', 'combo', 'pct'],
+  History: ['map', 'sr', 'length', 'bpm', 'ar', 'od', 'player', 'mods', 'date', 'days'],
+};
+
+const MAX_TABLE_CELL = 60;  // long map names are cut in the terminal table
+
+const FILTER_RE = /^([a-z]+)\s*(>=|<=|!=|!~|=|<|>|~)\s*(.*)$/i;
+
+function field(name, table) {
+  const f = QUERY_FIELDS[name.toLowerCase()];
+  if (!f || (f.data && table !== 'Data')) {
+    const known = Object.keys(QUERY_FIELDS).filter(n => table === 'Data' || !QUERY_FIELDS[n].data);
+    throw new Error(`Unknown ${table} field "${name}" (expected one of: ${known.join(', ')})`);
+  }
+  return f;
+}
+
+export function fieldLabel(name, table) {
+  return HEADERS[table][field(name, table).col - 1] || name;
+}
+
+// Two-letter mod acronyms as a set; NM (or nothing) is the empty set
+const modSet = mods => new Set(String(mods).toUpperCase().replace(/^NM$/, '').match(/[A-Z0-9]{2}/g) || []);
+
+function parseValue(type, raw) {
+  if (type === 'num') {
+    const n = Number(raw);
+    if (raw === '' || !Number.isFinite(n)) throw new Error(`"${raw}" is not a number`);
+    return n;
+  }
+  if (type === 'length') {
+    const m = /^(\d+):(\d{2})$/.exec(raw);
+    if (m) return parseInt(m[1]) * 60 + parseInt(m[2]);
+    return parseValue('num', raw);
+  }
+  if (type === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) throw new Error(`"${raw}" is not a YYYY-MM-DD date`);
+    return raw;
+  }
+  return raw;
+}
+
+/**
+ * Parses a filter such as `sr>=6`, `length<=3:30`, `mapper=Sotarks`,
+ * `player~cook` (contains), `mods~HD` (includes), `ranked=2020-01-01..2020-12-31`
+ * (a range, ends included) into `record => boolean`. Text compares ignore case;
+ * records without a value only pass `!=` and `!~`.
+ */
+export function parseFilter(expression, table = 'Data') {
+  const m = FILTER_RE.exec(expression.trim());
+  if (!m) throw new Error(`Invalid filter "${expression}" (expected <field><op><value>, e.g. sr>=6)`);
+  const [, name, op, raw] = m;
+  const { get, type } = field(name, table);
+  const negated = op === '!=' || op === '!~';
+
+  let test;
+  if (type === 'mods') {
+    const wanted = modSet(raw);
+    test = op === '=' || op === '!='
+      ? value => { const have = modSet(value); return have.size === wanted.size && [...wanted].every(x => have.has(x)); }
+      : value => { const have = modSet(value); return [...wanted].every(x => have.has(x)); };
+  } else if (type === 'text') {
+    const wanted = raw.toLowerCase();
+    if (op === '~' || op === '!~') test = value => value.toLowerCase().includes(wanted);
+    else if (op === '=' || op === '!=') test = value => value.toLowerCase() === wanted;
+    else throw new Error(`"${op}" doesn't apply to text field "${name}"`);
+  } else {
+    if (op === '~' || op === '!~') throw new Error(`"${op}" only applies to text fields and mods`);
+    const range = op === '=' && raw.includes('..') ? raw.split('..') : null;
+    if (range) {
+      const [min, max] = range.map(v => (v.trim() === '' ? null : parseValue(type, v.trim())));
+      test = value => (min === null || value >= min) && (max === null || value <= max);
+    } else {
+      const wanted = parseValue(type, raw.trim());
+      const compare = { '=': (a, b) => a === b, '!=': (a, b) => a === b, '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b }[op];
+      test = value => compare(value, wanted);
+    }
+  }
+
+  return record => {
+    const value = get(record);
+    if (value === null || value === undefined) return negated;
+    return negated ? !test(value) : test(value);
+  };
+}
+
+/**
+ * Sort keys such as `sr`, `-pct` (descending) or `mapper`, applied in order.
+ * Records without a value go last either way.
+ */
+export function parseSort(keys, table = 'Data') {
+  const specs = keys.map(key => {
+    const desc = key.startsWith('-');
+    const { get, type } = field(desc ? key.slice(1) : key, table);
+    return { get, desc, text: type !== 'num' && type !== 'length' };
+  });
+  return (a, b) => {
+    for (const { get, desc, text } of specs) {
+      const x = get(a), y = get(b);
+      if (x === y) continue;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      const order = text ? String(x).localeCompare(String(y), undefined, { sensitivity: 'base' }) : x - y;
+      if (order) return desc ? -order : order;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Records matching every filter, sorted and cut to `limit`. `filters` and
+ * `sort` are the strings parseFilter and parseSort take.
+ */
+export function runQuery(records, { table = 'Data', filters = [], sort = [], limit = null } = {}) {
+  const tests = filters.map(f => parseFilter(f, table));
+  let results = records.filter(r => tests.every(test => test(r)));
+  if (sort.length) results = [...results].sort(parseSort(sort, table));
+  return limit ? results.slice(0, limit) : results;
+}
+
+function cellValue(record, name) {
+  const f = QUERY_FIELDS[name];
+  const value = f.get(record);
+  if (value === null || value === undefined) return '';
+  if (f.type === 'length') return `${Math.floor(value / 60)}:${String(value % 60).padStart(2, '0')}`;
+  if (f.type === 'num' && f.digits) return value.toFixed(f.digits);
+  return String(value);
+}
+
+const csvCell = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * The records as 'table' (aligned for the terminal), 'csv' or 'json'. Table
+ * and CSV show `columns` under their sheet headers; JSON has whole records.
+ */
+export function formatResults(records, { table = 'Data', columns = DEFAULT_COLUMNS[table], format = 'table' } = {}) {
+  if (format === 'json') return JSON.stringify(records, null, 2);
+  const names = columns.map(name => name.toLowerCase());
+  const header = names.map(name => fieldLabel(name, table));
+  const rows = records.map(r => names.map(name => cellValue(r, name)));
+  if (format === 'csv') return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+  if (format !== 'table') throw new Error(`Unknown format "${format}" (expected table, csv or json)`);
+
+  const cut = c => (c.length > MAX_TABLE_CELL ? c.slice(0, MAX_TABLE_CELL - 1) + '…' : c);
+  rows.forEach(row => row.forEach((c, i) => { row[i] = cut(c); }));
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const numeric = names.map(name => ['num', 'length'].includes(QUERY_FIELDS[name].type));
+  const line = row => row.map((c, i) => (numeric[i] ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join('  ').trimEnd();
+  return [line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
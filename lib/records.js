@@ -0,0 +1,90 @@
+import { COL, OUTPUT_ROW, NUM_COLS, readDisplayRows } from './layout.js';
+import { cellText } from './local-store.js';
+import { parsePlayerCell } from './stats.js';
+
+// ── Map Records ───────────────────────────────────────────────────────────────
+
+// Data and History rows as plain objects, for consumers outside the sheet
+// (export, the HTTP API). Dates become YYYY-MM-DD and lengths seconds; cells
+// that don't parse become null rather than guesses.
+
+const HYPERLINK_URL_RE = /^=HYPERLINK\("((?:[^"]|"")*)"/;
+const SHEET_DATE_RE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+const num = cell => {
+  const n = parseFloat(cellText(cell));
+  return Number.isFinite(n) ? n : null;
+};
+const text = cell => String(cellText(cell) ?? '').trim();
+
+export function isoDate(cell) {
+  const m = SHEET_DATE_RE.exec(text(cell));
+  return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : null;
+}
+
+function lengthSeconds(cell) {
+  const m = /^(\d+):(\d{2})$/.exec(text(cell));
+  return m ? parseInt(m[1]) * 60 + parseInt(m[2]) : null;
+}
+
+function person(cell) {
+  const p = parsePlayerCell(cell);
+  if (!p) return null;
+  return { id: p.id, name: p.name, url: HYPERLINK_URL_RE.exec(String(cell))?.[1] ?? null };
+}
+
+// Beatmap cells read "Artist\nTitle\n[Version]"
+function beatmapName(cell) {
+  const [artist = '', title = '', version = ''] = text(cell).split('\n');
+  return { artist, title, version: version.replace(/^\[|\]$/g, '') };
+}
+
+/**
+ * One Data or History row as a record; `table` picks what column N means
+ * ('Data': days ranked, 'History': days to FC). Rows without a beatmap ID
+ * (error rows, blanks) give null.
+ */
+export function rowToRecord(row, table = 'Data') {
+  const beatmapId = text(row[COL.BEATMAP_ID - 1]);
+  if (!/^\d+$/.test(beatmapId)) return null;
+  const record = {
+    beatmapId: Number(beatmapId),
+    beatmapsetId: num(row[COL.BEATMAPSET_ID - 1]),
+    ...beatmapName(row[COL.BEATMAP - 1]),
+    url: HYPERLINK_URL_RE.exec(String(row[COL.BEATMAP - 1]))?.[1] ?? null,
+    stars: num(row[COL.SR - 1]),
+    length: lengthSeconds(row[COL.LENGTH - 1]),
+    bpm: num(row[COL.BPM - 1]),
+    cs: num(row[COL.CS - 1]),
+    ar: num(row[COL.AR - 1]),
+    od: num(row[COL.OD - 1]),
+    hp: num(row[COL.HP - 1]),
+    mapper: person(row[COL.CREATOR - 1]),
+    rankedDate: isoDate(row[COL.RANKED_DATE - 1]),
+    [table === 'History' ? 'daysToFC' : 'daysRanked']: num(row[COL.DAYS_RANKED - 1]),
+    player: person(row[COL.PLAYER - 1]),
+    scoreDate: isoDate(row[COL.SCORE_DATE - 1]),
+    rank: text(row[COL.RANK - 1]) || null,
+    mods: text(row[COL.MODS - 1]) || null,
+    combo: num(row[COL.COMBO - 1]),
+    maxCombo: num(row[COL.MAX_COMBO - 1]),
+  };
+  if (table !== 'History') {
+    record.pctFC = num(row[COL.PCT_FC - 1]);
+    record.modStars = num(row[COL.MOD_SR - 1]);
+    record.modAr = num(row[COL.MOD_AR - 1]);
+    record.modOd = num(row[COL.MOD_OD - 1]);
+    record.modCs = num(row[COL.MOD_CS - 1]);
+    record.modBpm = num(row[COL.MOD_BPM - 1]);
+    record.fcPp = num(row[COL.FC_PP - 1]);
+  }
+  return record;
+}
+
+// Every map record in a Data or History sheet
+export async function readRecords(store, sheet, table = 'Data') {
+  const lastRow = await store.lastRow(sheet);
+  if (lastRow < OUTPUT_ROW) return [];
+  const rows = await readDisplayRows(store, sheet, OUTPUT_ROW, lastRow - OUTPUT_ROW + 1, NUM_COLS);
+  return rows.map(row => rowToRecord(row, table)).filter(Boolean);
+}
@@ -0,0 +1,8 @@
+import fs from 'fs';
+import { parentPort, workerData } from 'worker_threads';
+import { verifyReplay } from './replay-sim.js';
+
+// Runs one built-in replay verification off the main thread, so several can
+// run in parallel and a timed-out one can be terminated.
+const { beatmapPath, replayPath } = workerData;
+parentPort.postMessage(verifyReplay(fs.readFileSync(beatmapPath, 'utf8'), fs.readFileSync(replayPath)));
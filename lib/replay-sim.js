@@ -0,0 +1,171 @@
+import { parseBeatmap, radiusFor, hitWindowsFor, difficultyRange, clockRate, PLAYFIELD } from './beatmap.js';
+import { parseOsr, decodeFrames, KEY } from './replay.js';
+
+// Built-in osu!standard replay verifier. Replays the cursor and key frames of
+// a score against the beatmap's hit objects (stable rules: notelock, 50/100/300
+// windows, follow-circle tracking, legacy slider ends, spinner rotations) and
+// reports whether combo was ever broken.
+
+export const SIMULATOR_VERSION = 'builtin-1';
+
+const MISS_WINDOW = 400;          // early clicks inside this window miss the object
+const FOLLOW_RADIUS_SCALE = 2.4;
+const SPINNER_MAX_RPM = 477;
+const SPINNER_CENTRE = { x: PLAYFIELD.width / 2, y: PLAYFIELD.height / 2 };
+
+const dist = (ax, ay, bx, by) => Math.hypot(ax - bx, ay - by);
+
+function buttonsDown(keys) {
+  return { b1: (keys & (KEY.M1 | KEY.K1)) !== 0, b2: (keys & (KEY.M2 | KEY.K2)) !== 0 };
+}
+
+// Every newly pressed button is one click
+function extractClicks(frames) {
+  const clicks = [];
+  let prev = { b1: false, b2: false };
+  for (const f of frames) {
+    const now = buttonsDown(f.keys);
+    if (now.b1 && !prev.b1) clicks.push(f);
+    if (now.b2 && !prev.b2) clicks.push(f);
+    prev = now;
+  }
+  return clicks;
+}
+
+// Index of the last frame at or before `time`
+function frameIndexAt(frames, time) {
+  let lo = 0, hi = frames.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].time <= time) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+function judgeHeads(objects, clicks, radius, windows) {
+  let c = 0;
+  for (const o of objects) {
+    if (o.kind === 'spinner') continue;
+    const x = o.x + o.stackOffset, y = o.y + o.stackOffset;
+    o.head = { hit: false, time: o.time };
+    while (c < clicks.length && clicks[c].time <= o.time + windows[50]) {
+      const click = clicks[c++];
+      if (click.time < o.time - MISS_WINDOW) continue;
+      if (dist(click.x, click.y, x, y) > radius) continue; // notelocked or off target
+      if (click.time >= o.time - windows[50]) {
+        const delta = Math.abs(click.time - o.time);
+        o.head = { hit: true, time: click.time, result: delta <= windows[300] ? 300 : delta <= windows[100] ? 100 : 50 };
+      }
+      break; // an early click on the object is a miss
+    }
+  }
+}
+
+function judgeSlider(slider, frames, radius) {
+  const followRadius = radius * FOLLOW_RADIUS_SCALE;
+  const events = [];
+  let i = Math.max(0, frameIndexAt(frames, slider.time));
+  let tracking = false;
+
+  for (const check of slider.nested) {
+    // Advance the follow-circle state through every frame up to the check
+    for (; i < frames.length && frames[i].time <= check.time; i++) {
+      const f = frames[i];
+      const { b1, b2 } = buttonsDown(f.keys);
+      if (!b1 && !b2) { tracking = false; continue; }
+      const ball = slider.ballAt(f.time);
+      const d = dist(f.x, f.y, ball.x + slider.stackOffset, ball.y + slider.stackOffset);
+      tracking = d <= (tracking ? followRadius : radius);
+    }
+    events.push({ time: check.time, kind: check.kind, hit: tracking, breaks: check.kind !== 'end' });
+  }
+  return events;
+}
+
+function judgeSpinner(spinner, frames, od, rate) {
+  const durationSec = (spinner.endTime - spinner.time) / 1000;
+  const required = Math.floor(durationSec * difficultyRange(od, 3, 5, 7.5));
+  const maxRadPerMs = SPINNER_MAX_RPM / 60000 * 2 * Math.PI * rate;
+
+  let total = 0, prevAngle = null, prevTime = null;
+  for (let i = Math.max(0, frameIndexAt(frames, spinner.time)); i < frames.length && frames[i].time <= spinner.endTime; i++) {
+    const f = frames[i];
+    const { b1, b2 } = buttonsDown(f.keys);
+    const angle = Math.atan2(f.y - SPINNER_CENTRE.y, f.x - SPINNER_CENTRE.x);
+    if ((b1 || b2) && prevAngle !== null && f.time > prevTime) {
+      let delta = angle - prevAngle;
+      if (delta > Math.PI) delta -= 2 * Math.PI;
+      if (delta < -Math.PI) delta += 2 * Math.PI;
+      const cap = maxRadPerMs * (f.time - prevTime);
+      total += Math.max(-cap, Math.min(cap, delta));
+    }
+    prevAngle = angle;
+    prevTime = f.time;
+  }
+
+  const progress = required > 0 ? Math.abs(total) / (2 * Math.PI) / required : 1;
+  // Legacy spinner results by completion, as lazer maps them
+  const result = progress >= 1 ? 300 : progress > 0.9 ? 100 : progress > 0.75 ? 50 : 0;
+  return { time: spinner.endTime, kind: 'spinner', hit: result > 0, breaks: true };
+}
+
+/**
+ * Simulates decoded replay frames on a beatmap.
+ * Returns `{ is_fc, current_combo, max_combo, misses, slider_breaks }`, where
+ * `max_combo` is the best combo reached during the play (not the map's maximum),
+ * matching what danser reports.
+ */
+export function simulateReplay(beatmapText, frames, mods) {
+  const beatmap = parseBeatmap(beatmapText, mods);
+  if (beatmap.mode !== 0) throw new Error(`unsupported game mode ${beatmap.mode}`);
+  const { cs, od } = beatmap.difficulty;
+  const radius = radiusFor(cs);
+  const windows = hitWindowsFor(od);
+  const rate = clockRate(mods);
+
+  judgeHeads(beatmap.objects, extractClicks(frames), radius, windows);
+
+  const events = [];
+  for (const o of beatmap.objects) {
+    if (o.kind === 'spinner') {
+      events.push(judgeSpinner(o, frames, od, rate));
+      continue;
+    }
+    events.push({ time: o.head.time, kind: o.kind === 'circle' ? 'circle' : 'head', hit: o.head.hit, breaks: true });
+    if (o.kind === 'slider') events.push(...judgeSlider(o, frames, radius));
+  }
+  events.sort((a, b) => a.time - b.time);
+
+  let combo = 0, maxCombo = 0, misses = 0, sliderBreaks = 0;
+  for (const e of events) {
+    if (e.hit) {
+      combo++;
+      maxCombo = Math.max(maxCombo, combo);
+    } else if (e.breaks) {
+      if (e.kind === 'tick' || e.kind === 'repeat') sliderBreaks++;
+      else misses++;
+      combo = 0;
+    }
+  }
+
+  return { is_fc: misses === 0 && sliderBreaks === 0, current_combo: combo, max_combo: maxCombo, misses, slider_breaks: sliderBreaks };
+}
+
+/**
+ * Verifies an .osr against its .osu. Results the simulation can't stand behind
+ * (its miss count disagrees with the score's) come back as `{ error }`, like a
+ * failed danser run, so they are never taken as an FC verdict.
+ */
+export function verifyReplay(beatmapText, osrBuffer) {
+  try {
+    const osr = parseOsr(osrBuffer);
+    if (osr.mode !== 0) return { error: `unsupported game mode ${osr.mode}` };
+    const result = simulateReplay(beatmapText, decodeFrames(osr.replayData), osr.mods);
+    if (result.misses !== osr.countMiss) {
+      return { error: `simulation disagrees with score: ${result.misses} miss(es) simulated, ${osr.countMiss} recorded` };
+    }
+    return { is_fc: result.is_fc, current_combo: result.current_combo, max_combo: result.max_combo };
+  } catch (err) {
+    return { error: `replay simulation failed: ${err.message}` };
+  }
+}
@@ -0,0 +1,83 @@
+import lzma from 'lzma';
+
+// .osr reader and replay frame decoding. The layout matches what buildOsr in
+// lib/osr.js writes: https://osu.ppy.sh/wiki/en/Client/File_formats/osr_(file_format)
+
+const SEED_FRAME_DELTA = -12345;
+
+export const KEY = { M1: 1, M2: 2, K1: 4, K2: 8, SMOKE: 16 };
+
+function createReader(buf) {
+  let pos = 0;
+  const r = {
+    u8()  { return buf.readUInt8(pos++); },
+    u16() { const v = buf.readUInt16LE(pos); pos += 2; return v; },
+    i32() { const v = buf.readInt32LE(pos); pos += 4; return v; },
+    i64() { const v = buf.readBigInt64LE(pos); pos += 8; return v; },
+    uleb() {
+      let result = 0, shift = 0, byte;
+      do {
+        byte = r.u8();
+        result |= (byte & 0x7f) << shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return result;
+    },
+    string() {
+      if (r.u8() !== 0x0b) return '';
+      const len = r.uleb();
+      const s = buf.toString('utf8', pos, pos + len);
+      pos += len;
+      return s;
+    },
+    bytes(len) { const b = buf.subarray(pos, pos + len); pos += len; return b; },
+  };
+  return r;
+}
+
+export function parseOsr(buf) {
+  const r = createReader(buf);
+  const osr = {
+    mode: r.u8(),
+    version: r.i32(),
+    beatmapMd5: r.string(),
+    username: r.string(),
+    replayMd5: r.string(),
+    count300: r.u16(),
+    count100: r.u16(),
+    count50: r.u16(),
+    countGeki: r.u16(),
+    countKatu: r.u16(),
+    countMiss: r.u16(),
+    score: r.i32(),
+    maxCombo: r.u16(),
+    perfect: r.u8() === 1,
+    mods: r.i32(),
+    lifeBar: r.string(),
+    timestamp: r.i64(),
+  };
+  osr.replayData = r.bytes(r.i32());
+  return osr;
+}
+
+/**
+ * Decompresses LZMA replay data into absolute-time frames `{ time, x, y, keys }`.
+ * Frame times are in beatmap time, so DT/HT need no correction here.
+ */
+export function decodeFrames(replayData) {
+  const text = lzma.decompress(replayData);
+  if (typeof text !== 'string') throw new Error('replay data is not text');
+  const frames = [];
+  let time = 0;
+  for (const entry of text.split(',')) {
+    if (!entry) continue;
+    const [w, x, y, z] = entry.split('|');
+    const delta = parseInt(w);
+    if (delta === SEED_FRAME_DELTA) continue;
+    time += delta;
+    frames.push({ time, x: parseFloat(x), y: parseFloat(y), keys: parseInt(z) || 0 });
+  }
+  // Stable writes a couple of setup frames at the start; order by time for lookups
+  frames.sort((a, b) => a.time - b.time);
+  return frames;
+}
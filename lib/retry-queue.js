@@ -0,0 +1,69 @@
+import { readJsonFile, writeJsonFile } from './json-file.js';
+
+/**
+ * Beatmaps whose refresh failed (get_beatmaps or get_scores erroring, or
+ * get_beatmaps returning nothing), keyed by beatmap ID. Their rows keep their
+ * last known data; refresh retries them at the end of the run and again on the
+ * next one. Entries look like
+ * `{ attempts, emptyResponses, lastError, firstFailedAt, lastFailedAt }`, where
+ * attempts counts runs that failed and emptyResponses the latest of them in a
+ * row that got no beatmap back. With `readOnly` (dry runs), changes are kept in
+ * memory.
+ */
+export function createRetryQueue(filePath, { escalateAfter = 3, readOnly = false } = {}) {
+  let entries = null;
+
+  function load() {
+    if (!entries) entries = readJsonFile(filePath, {});
+    return entries;
+  }
+
+  function save() {
+    if (!readOnly) writeJsonFile(filePath, entries, { pretty: true });
+  }
+
+  return {
+    escalateAfter,
+
+    ids() {
+      return Object.keys(load());
+    },
+
+    get(beatmapID) {
+      return load()[beatmapID] || null;
+    },
+
+    // retry: the run's second try at this map, which doesn't count as another attempt
+    // empty: get_beatmaps answered without the map
+    fail(beatmapID, err, { retry = false, empty = false } = {}) {
+      const now = new Date().toISOString();
+      const previous = load()[beatmapID];
+      const counted = retry && previous ? 0 : 1;
+      entries[beatmapID] = {
+        attempts: (previous?.attempts || 0) + counted,
+        emptyResponses: empty ? (previous?.emptyResponses || 0) + counted : 0,
+        lastError: err.message,
+        firstFailedAt: previous?.firstFailedAt || now,
+        lastFailedAt: now,
+      };
+      save();
+      return entries[beatmapID];
+    },
+
+    // After a successful refresh, or once the map has left Data
+    remove(beatmapID) {
+      if (!(beatmapID in load())) return false;
+      delete entries[beatmapID];
+      save();
+      return true;
+    },
+
+    // Maps that failed at least escalateAfter times in a row, most attempts first
+    escalated() {
+      return Object.entries(load())
+        .filter(([, entry]) => entry.attempts >= escalateAfter)
+        .map(([id, entry]) => ({ id, ...entry }))
+        .sort((a, b) => b.attempts - a.attempts);
+    },
+  };
+}
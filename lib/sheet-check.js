@@ -0,0 +1,108 @@
+import { COL, OUTPUT_ROW } from './layout.js';
+import { cellText } from './local-store.js';
+
+// ── Consistency Check ─────────────────────────────────────────────────────────
+
+// Problems in a mode's Data and History sheets that the tracker itself never
+// writes but manual edits, interrupted runs or racing commands can leave behind.
+// Rows come from readDisplayRows, starting at OUTPUT_ROW.
+
+const PCT_TOLERANCE = 0.01;  // % FC is shown with two decimals
+
+export const PROBLEM_LABELS = {
+  duplicate:     'Duplicate beatmap IDs',
+  overlap:       'In both Data and History',
+  'error-row':   'Error rows',
+  blank:         'Blank rows',
+  'non-numeric': 'Non-numeric SR or combo cells',
+  'pct-fc':      '% FC inconsistent with combo / max combo',
+};
+
+const text = cell => String(cellText(cell) ?? '').trim();
+const isNumber = value => value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Each problem is `{ type, sheet, row, beatmapId, detail, fix }`, where `fix`
+ * is what `check --fix` does about it: `{ action: 'delete' }`,
+ * `{ action: 'set-pct', value }` or null when it needs a person (or a refresh).
+ * Fixes keep the first row of a duplicated map, and the History row of a map
+ * in both sheets, since an FC is final.
+ */
+export function findProblems({ dataSheet, historySheet, data, history, mode }) {
+  const problems = [];
+  const add = (type, sheet, index, beatmapId, detail, fix = null) =>
+    problems.push({ type, sheet, row: OUTPUT_ROW + index, beatmapId, detail, fix });
+
+  // Rows after the last non-blank one are not gaps
+  const lastUsed = rows => rows.reduce((last, row, i) => (row.some(c => text(c) !== '') ? i : last), -1);
+
+  function scan(sheet, rows, table) {
+    const firstRowById = new Map();
+    const end = lastUsed(rows);
+    for (let i = 0; i <= end; i++) {
+      const row = rows[i] || [];
+      const id = text(row[COL.BEATMAP_ID - 1]);
+      if (!row.some(c => text(c) !== '')) {
+        add('blank', sheet, i, null, 'empty row', { action: 'delete' });
+        continue;
+      }
+      if (!/^\d+$/.test(id)) {
+        add('error-row', sheet, i, null, text(row[0]) || text(row[COL.BEATMAP - 1]) || 'no beatmap ID');
+        continue;
+      }
+      if (firstRowById.has(id)) {
+        add('duplicate', sheet, i, id, `also in row ${firstRowById.get(id)}`, { action: 'delete' });
+        continue;
+      }
+      firstRowById.set(id, OUTPUT_ROW + i);
+
+      const sr = text(row[COL.SR - 1]);
+      const combo = text(row[COL.COMBO - 1]);
+      const maxCombo = text(row[COL.MAX_COMBO - 1]);
+      const bad = [];
+      if (!isNumber(sr)) bad.push(`SR "${sr}"`);
+      if (!isNumber(combo)) bad.push(`combo "${combo}"`);
+      // The API reports no max combo for mania
+      if (!isNumber(maxCombo) && !(mode.progress === 'notes' && maxCombo === '')) bad.push(`max combo "${maxCombo}"`);
+      if (bad.length) {
+        add('non-numeric', sheet, i, id, bad.join(', '));
+        continue;
+      }
+
+      // Mania's % FC counts notes, which the sheet doesn't hold; 100 marks an FC awaiting move-fcs
+      if (table === 'Data' && mode.progress === 'combo') {
+        const pct = text(row[COL.PCT_FC - 1]);
+        const expected = Number(maxCombo) > 0 ? (Number(combo) / Number(maxCombo)) * 100 : 0;
+        if (!isNumber(pct)) {
+          add('pct-fc', sheet, i, id, `"${pct}", expected ${expected.toFixed(2)}`, { action: 'set-pct', value: expected });
+        } else if (Number(pct) !== 100 && Math.abs(Number(pct) - expected) > PCT_TOLERANCE) {
+          add('pct-fc', sheet, i, id, `${Number(pct).toFixed(2)}, expected ${expected.toFixed(2)} (${combo}/${maxCombo}x)`, { action: 'set-pct', value: expected });
+        }
+      }
+    }
+    return firstRowById;
+  }
+
+  const dataIds = scan(dataSheet, data, 'Data');
+  const historyIds = scan(historySheet, history, 'History');
+  for (const [id, row] of dataIds) {
+    if (historyIds.has(id)) {
+      problems.push({ type: 'overlap', sheet: dataSheet, row, beatmapId: id, detail: `FC'd in ${historySheet} row ${historyIds.get(id)}`, fix: { action: 'delete' } });
+    }
+  }
+  return problems;
+}
+
+export function printProblems(problems) {
+  if (!problems.length) { console.log('No problems found.'); return; }
+  for (const [type, label] of Object.entries(PROBLEM_LABELS)) {
+    const found = problems.filter(p => p.type === type);
+    if (!found.length) continue;
+    console.log(`\n${label} (${found.length}):`);
+    for (const p of found) {
+      console.log(`  ${p.sheet} row ${p.row}${p.beatmapId ? `  [${p.beatmapId}]` : ''}  ${p.detail}${p.fix ? '' : '  (not fixable)'}`);
+    }
+  }
+  const fixable = problems.filter(p => p.fix).length;
+  console.log(`\n${problems.length} problem(s), ${fixable} fixable with --fix.`);
+}
@@ -0,0 +1,313 @@
+import { google } from 'googleapis';
+import fs from 'fs';
+import { COL, colLetter } from './layout.js';
+import { ConfigError } from './errors.js';
+
+// ── Config ────────────────────────────────────────────────────────────────────
+
+const SHEETS_REQUESTS_PER_MIN = 55;
+const SHEETS_MAX_RETRIES = 6;
+const SHEETS_RETRY_BASE_MS = 2000;
+const SHEETS_BATCH_CHUNK = 200;
+const SHEETS_FORMAT_CHUNK = 1000;
+
+// col is 1-based
+const DATA_NUMBER_FORMATS = [
+  { col: COL.SR,     pattern: '0.00' },
+  { col: COL.LENGTH, type: 'TEXT' },     // force text so "4:10" doesn't become a time
+  { col: COL.BPM,    clear: true },
+  { col: COL.CS,     clear: true },
+  { col: COL.AR,     clear: true },
+  { col: COL.OD,     clear: true },
+  { col: COL.HP,     clear: true },
+  { col: COL.PCT_FC, pattern: '0.00' },
+  { col: COL.MOD_SR, pattern: '0.00' },
+  { col: COL.MOD_AR, clear: true },
+  { col: COL.MOD_OD, clear: true },
+  { col: COL.MOD_CS, clear: true },
+  { col: COL.MOD_BPM, clear: true },
+  { col: COL.FC_PP,  pattern: '0' },
+];
+
+// ── Google Auth ───────────────────────────────────────────────────────────────
+
+function readJson(filePath, what) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new ConfigError(`Invalid ${what} ${filePath}: ${err.message}`, { cause: err });
+  }
+}
+
+// Without a saved token, `promptForCode(authUrl)` has to resolve to the code
+// Google shows after the user opens authUrl; the library never reads stdin itself
+async function authorize(credentialsPath, tokenPath, promptForCode) {
+  if (!fs.existsSync(credentialsPath)) {
+    throw new ConfigError(`Missing ${credentialsPath}. Download it from Google Cloud Console.`);
+  }
+  const { client_secret, client_id, redirect_uris } = readJson(credentialsPath, 'Google credentials file').installed || {};
+  if (!client_id || !client_secret || !redirect_uris?.length) {
+    throw new ConfigError(`${credentialsPath} is not a desktop app OAuth client (no "installed" client ID, secret and redirect URI)`);
+  }
+  const auth = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
+
+  if (fs.existsSync(tokenPath)) {
+    auth.setCredentials(readJson(tokenPath, 'Google token file'));
+    return auth;
+  }
+  if (!promptForCode) {
+    throw new ConfigError(`Missing Google token ${tokenPath}. Authorize once from the command line to create it.`);
+  }
+
+  const authUrl = auth.generateAuthUrl({ access_type: 'offline', scope: ['https://www.googleapis.com/auth/spreadsheets'] });
+  const code = String(await promptForCode(authUrl) ?? '').trim();
+  if (!code) throw new ConfigError('No authorization code given');
+  const { tokens } = await auth.getToken(code);
+  auth.setCredentials(tokens);
+  fs.writeFileSync(tokenPath, JSON.stringify(tokens));
+  console.log('Token saved to', tokenPath);
+  return auth;
+}
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+
+// Quoted so names with spaces ("Taiko Data") work in A1 ranges
+function sheetRef(sheet) {
+  return `'${sheet.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Google Sheets implementation of the tracker store. Every method mirrors the
+ * local store in ./local-store.js; rows and columns are 1-based. `init()`
+ * throws ConfigError for missing or invalid credentials, and for a missing
+ * token unless `promptForCode` can start the OAuth flow (see authorize).
+ */
+export function createSheetsStore({ spreadsheetId, credentialsPath, tokenPath, promptForCode = null }) {
+  let sheetsClient;
+  const sheetIds = {};
+  const columnCounts = {};  // grid width per sheet, which writes past fail
+  const sheetsReadTimes = [];
+  const sheetsWriteTimes = [];
+
+  async function waitForSheetsSlot(kind) {
+    const arr = kind === 'read' ? sheetsReadTimes : sheetsWriteTimes;
+    while (true) {
+      const now = Date.now();
+      while (arr.length > 0 && now - arr[0] >= 60000) arr.shift();
+      if (arr.length < SHEETS_REQUESTS_PER_MIN) {
+        arr.push(now);
+        return;
+      }
+      const waitMs = 60000 - (now - arr[0]) + 100;
+      await new Promise(r => setTimeout(r, waitMs));
+    }
+  }
+
+  async function withSheetsRetry(kind, fn, attempt = 1) {
+    await waitForSheetsSlot(kind);
+    try {
+      return await fn();
+    } catch (err) {
+      const code = err?.code || err?.response?.status;
+      if (code === 429 && attempt <= SHEETS_MAX_RETRIES) {
+        const waitMs = Math.min(60000, SHEETS_RETRY_BASE_MS * 2 ** (attempt - 1));
+        console.log(`Sheets API 429 (${kind}), retrying in ${waitMs / 1000}s... (attempt ${attempt})`);
+        await new Promise(r => setTimeout(r, waitMs));
+        return withSheetsRetry(kind, fn, attempt + 1);
+      }
+      throw err;
+    }
+  }
+
+  function a1(sheet, startRow, startCol, numRows = 1, numCols = 1) {
+    return `${sheetRef(sheet)}!${colLetter(startCol)}${startRow}:${colLetter(startCol + numCols - 1)}${startRow + numRows - 1}`;
+  }
+
+  function batchUpdate(requests) {
+    return withSheetsRetry('write', () => sheetsClient.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests },
+    }));
+  }
+
+  function deleteRowRequest(sheet, rowNumber) {
+    return {
+      deleteDimension: {
+        range: { sheetId: sheetIds[sheet], dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber },
+      },
+    };
+  }
+
+  function rowHeightRequest(sheet, rowNumber) {
+    return {
+      updateDimensionProperties: {
+        range: { sheetId: sheetIds[sheet], dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber },
+        properties: { pixelSize: 21 },
+        fields: 'pixelSize',
+      },
+    };
+  }
+
+  return {
+    name: 'sheets',
+
+    async init() {
+      const auth = await authorize(credentialsPath, tokenPath, promptForCode);
+      sheetsClient = google.sheets({ version: 'v4', auth });
+      const meta = await sheetsClient.spreadsheets.get({ spreadsheetId });
+      for (const s of meta.data.sheets) {
+        sheetIds[s.properties.title] = s.properties.sheetId;
+        columnCounts[s.properties.title] = s.properties.gridProperties.columnCount;
+      }
+    },
+
+    async hasSheet(sheet) {
+      return sheet in sheetIds;
+    },
+
+    // Adds the sheet with a frozen header row if the spreadsheet doesn't have it
+    // yet; a sheet made before the header grew gets the new columns and labels
+    async ensureSheet(sheet, header) {
+      if (sheet in sheetIds) {
+        const current = (await this.get(sheet, 1, 1, 1, header.length, 'FORMATTED_VALUE'))[0] || [];
+        if (current.length >= header.length) return;
+        const columnCount = columnCounts[sheet] ?? 0;
+        if (columnCount < header.length) {
+          await batchUpdate([{ appendDimension: { sheetId: sheetIds[sheet], dimension: 'COLUMNS', length: header.length - columnCount } }]);
+          columnCounts[sheet] = header.length;
+        }
+        await this.set(sheet, 1, current.length + 1, [header.slice(current.length)]);
+        console.log(`Added ${header.length - current.length} column(s) to sheet "${sheet}".`);
+        return;
+      }
+      const res = await batchUpdate([{
+        addSheet: { properties: { title: sheet, gridProperties: { frozenRowCount: 1, columnCount: Math.max(26, header.length) } } },
+      }]);
+      sheetIds[sheet] = res.data.replies[0].addSheet.properties.sheetId;
+      columnCounts[sheet] = Math.max(26, header.length);
+      await this.set(sheet, 1, 1, [header]);
+      console.log(`Created sheet "${sheet}".`);
+    },
+
+    async get(sheet, startRow, startCol, numRows, numCols, renderOption = 'UNFORMATTED_VALUE') {
+      const res = await withSheetsRetry('read', () => sheetsClient.spreadsheets.values.get({
+        spreadsheetId,
+        range: a1(sheet, startRow, startCol, numRows, numCols),
+        valueRenderOption: renderOption,
+      }));
+      return res.data.values || [];
+    },
+
+    async set(sheet, startRow, startCol, values) {
+      await withSheetsRetry('write', () => sheetsClient.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${sheetRef(sheet)}!${colLetter(startCol)}${startRow}`,
+        valueInputOption: 'USER_ENTERED',
+        requestBody: { values },
+      }));
+    },
+
+    async batchSet(ranges) {
+      // ranges: [{ sheet, startRow, startCol, values }]
+      const data = ranges.map(r => ({
+        range: `${sheetRef(r.sheet)}!${colLetter(r.startCol)}${r.startRow}`,
+        values: r.values,
+      }));
+      for (let i = 0; i < data.length; i += SHEETS_BATCH_CHUNK) {
+        await withSheetsRetry('write', () => sheetsClient.spreadsheets.values.batchUpdate({
+          spreadsheetId,
+          requestBody: { valueInputOption: 'USER_ENTERED', data: data.slice(i, i + SHEETS_BATCH_CHUNK) },
+        }));
+      }
+    },
+
+    async clear(sheet) {
+      await withSheetsRetry('write', () => sheetsClient.spreadsheets.values.clear({ spreadsheetId, range: sheetRef(sheet) }));
+    },
+
+    // `col` null: the last row with anything in it
+    async lastRow(sheet, col = COL.BEATMAP_ID) {
+      const letter = col === null ? null : colLetter(col);
+      const res = await withSheetsRetry('read', () => sheetsClient.spreadsheets.values.get({
+        spreadsheetId,
+        range: letter ? `${sheetRef(sheet)}!${letter}:${letter}` : sheetRef(sheet),
+        valueRenderOption: 'UNFORMATTED_VALUE',
+      }));
+      return (res.data.values || []).length;
+    },
+
+    async deleteRow(sheet, rowNumber) {
+      await batchUpdate([deleteRowRequest(sheet, rowNumber)]);
+    },
+
+    async sort(sheet, startRow, numCols, sortSpecs) {
+      const lastRow = await this.lastRow(sheet);
+      if (lastRow < startRow) return;
+      await batchUpdate([{
+        sortRange: {
+          range: {
+            sheetId: sheetIds[sheet],
+            startRowIndex: startRow - 1,
+            endRowIndex: lastRow,
+            startColumnIndex: 0,
+            endColumnIndex: numCols,
+          },
+          sortSpecs: sortSpecs.map(s => ({
+            dimensionIndex: s.col - 1,
+            sortOrder: s.asc ? 'ASCENDING' : 'DESCENDING',
+          })),
+        },
+      }]);
+    },
+
+    async ensureRows(sheet, requiredRows) {
+      const meta = await withSheetsRetry('read', () => sheetsClient.spreadsheets.get({ spreadsheetId }));
+      const sheetMeta = meta.data.sheets.find(s => s.properties.title === sheet);
+      const currentRows = sheetMeta.properties.gridProperties.rowCount;
+      if (currentRows < requiredRows) {
+        await batchUpdate([{
+          appendDimension: {
+            sheetId: sheetIds[sheet],
+            dimension: 'ROWS',
+            length: requiredRows - currentRows + 100,
+          },
+        }]);
+      }
+    },
+
+    async formatRows(sheet, rowNumbers) {
+      if (!rowNumbers.length) return;
+      const sheetId = sheetIds[sheet];
+
+      const requests = [];
+      for (const row of rowNumbers) {
+        const ri = row - 1; // 0-based
+        requests.push(rowHeightRequest(sheet, row));
+        for (const fmt of DATA_NUMBER_FORMATS) {
+          const ci = fmt.col - 1; // 0-based
+          requests.push({
+            repeatCell: {
+              range: { sheetId, startRowIndex: ri, endRowIndex: ri + 1, startColumnIndex: ci, endColumnIndex: ci + 1 },
+              cell: fmt.clear ? {} : {
+                userEnteredFormat: {
+                  numberFormat: fmt.type ? { type: fmt.type } : { type: 'NUMBER', pattern: fmt.pattern },
+                },
+              },
+              fields: 'userEnteredFormat.numberFormat',
+            },
+          });
+        }
+      }
+
+      for (let i = 0; i < requests.length; i += SHEETS_FORMAT_CHUNK) {
+        await batchUpdate(requests.slice(i, i + SHEETS_FORMAT_CHUNK));
+      }
+    },
+
+    // Sizes the row a moved entry was copied to and deletes its source row.
+    // Combined into a single batchUpdate to save a write request per move.
+    async completeMove(fromSheet, fromRow, toSheet, toRow) {
+      await batchUpdate([rowHeightRequest(toSheet, toRow), deleteRowRequest(fromSheet, fromRow)]);
+    },
+  };
+}
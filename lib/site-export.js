@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+
+// ── Static Site Export ────────────────────────────────────────────────────────
+
+// A self-contained copy of the tracker for people who don't want to open the
+// spreadsheet: index.html (unFC'd maps) and history.html, each a sortable,
+// filterable table with the data embedded so the pages also work from disk,
+// plus data.json and history.json for other tools. Filters and sort order
+// live in the URL query string, so a filtered view can be linked.
+
+const escapeHtml = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// JSON inside <script> must not be able to close the tag
+const embedJson = data => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// key: record field; type drives sorting, filtering and formatting in the page
+const COLUMNS = {
+  data: [
+    { key: 'title', label: 'Beatmap', type: 'map' },
+    { key: 'stars', label: 'SR', type: 'num', digits: 2 },
+    { key: 'length', label: 'Length', type: 'length' },
+    { key: 'bpm', label: 'BPM', type: 'num' },
+    { key: 'ar', label: 'AR', type: 'num' },
+    { key: 'od', label: 'OD', type: 'num' },
+    { key: 'rankedDate', label: 'Ranked', type: 'text' },
+    { key: 'daysRanked', label: 'Days ranked', type: 'num' },
+    { key: 'player', label: 'Closest attempt', type: 'person' },
+    { key: 'mods', label: 'Mods', type: 'text' },
+    { key: 'combo', label: 'Combo', type: 'combo' },
+    { key: 'pctFC', label: '% FC', type: 'num', digits: 2 },
+    { key: 'modStars', label: 'SR (mods)', type: 'num', digits: 2 },
+    { key: 'fcPp', label: 'FC pp', type: 'num' },
+  ],
+  history: [
+    { key: 'title', label: 'Beatmap', type: 'map' },
+    { key: 'stars', label: 'SR', type: 'num', digits: 2 },
+    { key: 'length', label: 'Length', type: 'length' },
+    { key: 'ar', label: 'AR', type: 'num' },
+    { key: 'od', label: 'OD', type: 'num' },
+    { key: 'rankedDate', label: 'Ranked', type: 'text' },
+    { key: 'player', label: 'FC by', type: 'person' },
+    { key: 'mods', label: 'Mods', type: 'text' },
+    { key: 'scoreDate', label: 'FC date', type: 'text' },
+    { key: 'daysToFC', label: 'Days to FC', type: 'num' },
+  ],
+};
+
+// Range filters shown above each table: [query param, label, field, 'min' | 'max']
+const RANGE_FILTERS = {
+  data: [
+    ['minsr', 'SR ≥', 'stars', 'min'], ['maxsr', 'SR ≤', 'stars', 'max'],
+    ['minar', 'AR ≥', 'ar', 'min'], ['maxar', 'AR ≤', 'ar', 'max'],
+    ['minod', 'OD ≥', 'od', 'min'], ['maxod', 'OD ≤', 'od', 'max'],
+    ['maxlength', 'Length ≤ (s)', 'length', 'max'],
+    ['mindays', 'Days ranked ≥', 'daysRanked', 'min'],
+  ],
+  history: [
+    ['minsr', 'SR ≥', 'stars', 'min'], ['maxsr', 'SR ≤', 'stars', 'max'],
+    ['from', 'FC on/after', 'scoreDate', 'min'], ['to', 'FC on/before', 'scoreDate', 'max'],
+    ['mindays', 'Days to FC ≥', 'daysToFC', 'min'],
+  ],
+};
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 1.5rem; color: #222; background: #fafafa; }
+nav a { margin-right: 1rem; } nav a.current { font-weight: bold; text-decoration: none; color: inherit; }
+form { display: flex; flex-wrap: wrap; gap: .5rem 1rem; margin: 1rem 0; align-items: end; }
+label { display: flex; flex-direction: column; font-size: 12px; color: #555; }
+input { width: 7rem; padding: 2px 4px; } input[name=q] { width: 14rem; }
+table { border-collapse: collapse; width: 100%; background: #fff; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #e5e5e5; text-align: left; white-space: nowrap; }
+th { cursor: pointer; user-select: none; position: sticky; top: 0; background: #f0f0f0; }
+th.asc::after { content: ' ▲'; } th.desc::after { content: ' ▼'; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+td .version { color: #777; }
+#count { color: #555; }`;
+
+// Runs in the browser; reads COLUMNS/FILTERS/rows from the embedded JSON
+const SCRIPT = `
+const { columns, filters, rows } = JSON.parse(document.getElementById('page-data').textContent);
+const form = document.querySelector('form'), tbody = document.querySelector('tbody'), count = document.getElementById('count');
+const params = new URLSearchParams(location.search);
+for (const input of form.elements) if (input.name && params.has(input.name)) input.value = params.get(input.name);
+let sort = params.get('sort') || '', dir = params.get('dir') === 'desc' ? -1 : 1;
+
+const esc = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const sortValue = (row, col) => col.type === 'map' ? (row.artist + ' ' + row.title).toLowerCase()
+  : col.type === 'person' ? (row[col.key]?.name || '').toLowerCase()
+  : col.type === 'combo' ? row.combo : row[col.key];
+const link = (url, text) => url ? '<a href="' + esc(url) + '">' + esc(text) + '</a>' : esc(text);
+
+function cell(row, col) {
+  const v = row[col.key];
+  switch (col.type) {
+    case 'map': return link(row.url, row.artist + ' – ' + row.title) + ' <span class="version">[' + esc(row.version) + ']</span>';
+    case 'person': return v ? link(v.url, v.name) : '';
+    case 'length': return v == null ? '' : Math.floor(v / 60) + ':' + String(v % 60).padStart(2, '0');
+    case 'combo': return row.combo == null ? '' : row.combo + (row.maxCombo == null ? '' : ' / ' + row.maxCombo);
+    case 'num': return v == null ? '' : col.digits ? v.toFixed(col.digits) : v;
+    default: return esc(v ?? '');
+  }
+}
+
+function matches(row, values) {
+  const q = (values.q || '').toLowerCase();
+  if (q && ![row.artist, row.title, row.version, row.mapper?.name, row.player?.name].some(s => s && s.toLowerCase().includes(q))) return false;
+  if (values.mods && !(row.mods || '').toUpperCase().includes(values.mods.toUpperCase())) return false;
+  for (const [name, , field, bound] of filters) {
+    const raw = values[name];
+    if (!raw) continue;
+    const v = row[field];
+    if (v == null) return false;
+    const limit = typeof v === 'number' ? parseFloat(raw) : raw;
+    if (bound === 'min' ? v < limit : v > limit) return false;
+  }
+  return true;
+}
+
+function render() {
+  const values = Object.fromEntries(new FormData(form));
+  const query = new URLSearchParams(Object.entries(values).filter(([, v]) => v));
+  if (sort) { query.set('sort', sort); if (dir < 0) query.set('dir', 'desc'); }
+  history.replaceState(null, '', query.toString() ? '?' + query : location.pathname);
+
+  let shown = rows.filter(row => matches(row, values));
+  const col = columns.find(c => c.key === sort);
+  if (col) {
+    shown = shown.slice().sort((a, b) => {
+      const x = sortValue(a, col), y = sortValue(b, col);
+      if (x == null) return 1;
+      if (y == null) return -1;
+      return (x < y ? -1 : x > y ? 1 : 0) * dir;
+    });
+  }
+  for (const th of document.querySelectorAll('th')) th.className = th.dataset.key === sort ? (dir > 0 ? 'asc' : 'desc') : '';
+  tbody.innerHTML = shown.map(row => '<tr>' + columns.map(c =>
+    '<td class="' + (['num', 'length', 'combo'].includes(c.type) ? 'num' : '') + '">' + cell(row, c) + '</td>').join('') + '</tr>').join('');
+  count.textContent = shown.length + ' of ' + rows.length + ' maps';
+}
+
+for (const th of document.querySelectorAll('th')) {
+  th.addEventListener('click', () => {
+    dir = sort === th.dataset.key ? -dir : 1;
+    sort = th.dataset.key;
+    render();
+  });
+}
+form.addEventListener('input', render);
+form.addEventListener('reset', () => setTimeout(render));
+render();`;
+
+function page({ title, generatedAt, current, columns, filters, rows }) {
+  const nav = [['index.html', 'No FC yet'], ['history.html', 'History']]
+    .map(([href, label]) => `<a href="${href}"${href === current ? ' class="current"' : ''}>${label}</a>`)
+    .join('');
+  const inputs = [
+    '<label>Search<input name="q" type="search" placeholder="artist, title, mapper, player"></label>',
+    '<label>Mods<input name="mods" placeholder="e.g. HD"></label>',
+    ...filters.map(([name, label, field]) =>
+      `<label>${escapeHtml(label)}<input name="${name}" ${/Date$/.test(field) ? 'type="date"' : 'type="number" step="any"'}></label>`),
+    '<button type="reset">Clear</button>',
+  ].join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<nav>${nav}</nav>
+<form onsubmit="return false">
+${inputs}
+</form>
+<p id="count"></p>
+<table>
+<thead><tr>${columns.map(c => `<th data-key="${c.key}">${escapeHtml(c.label)}</th>`).join('')}</tr></thead>
+<tbody></tbody>
+</table>
+<p><small>Generated ${escapeHtml(generatedAt)}. Raw data: <a href="data.json">data.json</a>, <a href="history.json">history.json</a>.</small></p>
+<script id="page-data" type="application/json">${embedJson({ columns, filters, rows })}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the site to `dir` (created if needed). `maps` and `history` are
+ * records from lib/records.js; `meta` (title, mode, category) is included in
+ * the JSON files. Returns the paths written.
+ */
+export function writeSite(dir, { title, meta = {}, maps, history, generatedAt = new Date().toISOString() }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = {
+    'index.html': page({ title, generatedAt, current: 'index.html', columns: COLUMNS.data, filters: RANGE_FILTERS.data, rows: maps }),
+    'history.html': page({ title: `${title}: History`, generatedAt, current: 'history.html', columns: COLUMNS.history, filters: RANGE_FILTERS.history, rows: history }),
+    'data.json': JSON.stringify({ generatedAt, ...meta, count: maps.length, maps }, null, 2) + '\n',
+    'history.json': JSON.stringify({ generatedAt, ...meta, count: history.length, maps: history }, null, 2) + '\n',
+  };
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return Object.keys(files).map(name => path.join(dir, name));
+}
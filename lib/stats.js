@@ -0,0 +1,123 @@
+import { COL } from './layout.js';
+import { cellText } from './local-store.js';
+
+// ── Player Stats ──────────────────────────────────────────────────────────────
+
+const USER_URL_RE = /osu\.ppy\.sh\/users\/(\d+)/;
+const MAX_SR_BUCKET = 10;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Player cells are HYPERLINK formulas to the profile; fall back to the name alone
+export function parsePlayerCell(cell) {
+  const name = String(cellText(cell) ?? '').trim();
+  if (!name) return null;
+  const id = USER_URL_RE.exec(String(cell))?.[1] ?? null;
+  return { key: id ?? `name:${name.toLowerCase()}`, id, name };
+}
+
+function srBucket(sr) {
+  const floor = Math.min(Math.floor(sr), MAX_SR_BUCKET);
+  return floor >= MAX_SR_BUCKET ? `${MAX_SR_BUCKET}+★` : `${floor}–${floor + 1}★`;
+}
+
+/**
+ * Summarises Data and History rows (as read by readDisplayRows, so player cells
+ * keep their profile links). Returns
+ * `{ players, bySR, unclaimed }`: per-player closest attempts, average and max
+ * % FC, first FCs and median days to FC; median days to FC per star rating
+ * bucket; and the number of Data maps nobody has set a score on.
+ */
+export function computeStats(dataRows, historyRows) {
+  const players = new Map();
+  const player = p => {
+    if (!players.has(p.key)) {
+      players.set(p.key, { id: p.id, name: p.name, closest: 0, pctFCs: [], firstFCs: 0, daysToFC: [] });
+    }
+    return players.get(p.key);
+  };
+
+  let unclaimed = 0;
+  for (const row of dataRows) {
+    if (!String(row[COL.BEATMAP_ID - 1] ?? '').trim()) continue;
+    const p = parsePlayerCell(row[COL.PLAYER - 1]);
+    if (!p) { unclaimed++; continue; }
+    const entry = player(p);
+    entry.closest++;
+    const pct = parseFloat(row[COL.PCT_FC - 1]);
+    if (Number.isFinite(pct)) entry.pctFCs.push(pct);
+  }
+
+  const bySR = new Map();
+  for (const row of historyRows) {
+    const p = parsePlayerCell(row[COL.PLAYER - 1]);
+    if (!p) continue;
+    const entry = player(p);
+    entry.firstFCs++;
+    const days = parseFloat(row[COL.DAYS_RANKED - 1]); // Days to FC in History
+    if (!Number.isFinite(days)) continue;
+    entry.daysToFC.push(days);
+    const sr = parseFloat(row[COL.SR - 1]);
+    if (!Number.isFinite(sr)) continue;
+    const bucket = srBucket(sr);
+    if (!bySR.has(bucket)) bySR.set(bucket, { bucket, floor: Math.min(Math.floor(sr), MAX_SR_BUCKET), days: [] });
+    bySR.get(bucket).days.push(days);
+  }
+
+  return {
+    players: [...players.values()]
+      .map(e => ({
+        id: e.id,
+        name: e.name,
+        closest: e.closest,
+        avgPctFC: e.pctFCs.length ? e.pctFCs.reduce((a, b) => a + b, 0) / e.pctFCs.length : null,
+        maxPctFC: e.pctFCs.length ? Math.max(...e.pctFCs) : null,
+        firstFCs: e.firstFCs,
+        medianDaysToFC: median(e.daysToFC),
+      }))
+      .sort((a, b) => b.closest - a.closest || (b.maxPctFC ?? -1) - (a.maxPctFC ?? -1) || b.firstFCs - a.firstFCs),
+    bySR: [...bySR.values()]
+      .sort((a, b) => a.floor - b.floor)
+      .map(b => ({ bucket: b.bucket, fcs: b.days.length, medianDaysToFC: median(b.days) })),
+    unclaimed,
+  };
+}
+
+const fixed = (value, digits) => value === null ? '' : value.toFixed(digits);
+
+/**
+ * The stats as rows of cells: a player table and a star rating table separated
+ * by a blank row. `playerCell(player)` renders the player column (e.g. a
+ * profile hyperlink for the sheet).
+ */
+export function statsTables(stats, playerCell = p => p.name) {
+  return [
+    ['Player', 'Closest attempts', 'Avg % FC', 'Max % FC', 'First FCs', 'Median days to FC'],
+    ...stats.players.map(p => [
+      playerCell(p), p.closest, fixed(p.avgPctFC, 2), fixed(p.maxPctFC, 2), p.firstFCs, fixed(p.medianDaysToFC, 1),
+    ]),
+    [],
+    ['Star rating', 'FCs', 'Median days to FC'],
+    ...stats.bySR.map(b => [b.bucket, b.fcs, fixed(b.medianDaysToFC, 1)]),
+  ];
+}
+
+export function printStats(stats) {
+  const [header, ...rest] = statsTables(stats);
+  const blank = rest.findIndex(r => !r.length);
+  const print = rows => {
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i] ?? '').length)));
+    for (const row of rows) {
+      console.log('  ' + row.map((c, i) => i === 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i])).join('  '));
+    }
+  };
+  console.log(`\nPlayers (${stats.players.length}; ${stats.unclaimed} map(s) without any score):`);
+  print([header, ...rest.slice(0, blank)]);
+  console.log('\nDays to FC by star rating:');
+  print(rest.slice(blank + 1));
+}
@@ -0,0 +1,57 @@
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Up to `capacity` requests back to back, then one every `intervalMs`; an
+ * interval of 0 never waits. `take()` resolves once a token is free, in call
+ * order, and passes the wait to `onWait(ms)` first when there is one.
+ * `slowDown()` doubles the interval (up to `maxFactor` times the configured one)
+ * and drains the bucket, e.g. after an HTTP 429; `recover()` eases it back a
+ * little after each successful request.
+ */
+export function createTokenBucket({ intervalMs, capacity = 1, maxFactor = 8 }) {
+  let interval = intervalMs;
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - refilledAt) / interval);
+    refilledAt = now;
+  }
+
+  return {
+    take(onWait = null) {
+      if (intervalMs <= 0) return Promise.resolve();
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          const waitMs = Math.ceil((1 - tokens) * interval);
+          onWait?.(waitMs);
+          await sleep(waitMs);
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    },
+
+    slowDown() {
+      if (intervalMs <= 0) return;
+      refill();
+      interval = Math.min(intervalMs * maxFactor, interval * 2);
+      tokens = Math.min(tokens, 0);
+    },
+
+    recover() {
+      if (intervalMs <= 0 || interval === intervalMs) return;
+      refill();
+      interval = Math.max(intervalMs, interval * 0.9);
+    },
+
+    get intervalMs() {
+      return interval;
+    },
+  };
+}
@@ -0,0 +1,1466 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+import { Worker } from 'worker_threads';
+import { OUTPUT_COL, OUTPUT_ROW, COL, NUM_COLS, HEADERS, readDisplayRows } from './layout.js';
+import { createSheetsStore } from './sheets-store.js';
+import { createLocalStore, cellText } from './local-store.js';
+import { SIMULATOR_VERSION } from './replay-sim.js';
+import { createVerificationLedger } from './verification-ledger.js';
+import { createRetryQueue } from './retry-queue.js';
+import { createBeatmapVersions } from './beatmap-versions.js';
+import { createWorkerPool, createInFlightLimit } from './worker-pool.js';
+import { createDryRunStore, createPlan } from './dry-run.js';
+import { createDaemon } from './daemon.js';
+import { readJsonFile, writeJsonFile } from './json-file.js';
+import { getMode } from './modes.js';
+import { computeStats, statsTables, printStats, parsePlayerCell } from './stats.js';
+import { createNotifier } from './notifier.js';
+import { createAuditLog } from './audit-log.js';
+import { loadFCRules, describeFCRules } from './fc-rules.js';
+import { getCategory, withCategory } from './categories.js';
+import { readRecords } from './records.js';
+import { findProblems, printProblems } from './sheet-check.js';
+import { runQuery, formatResults } from './query.js';
+import { writeSite } from './site-export.js';
+import { startApiServer } from './http-api.js';
+import { MOD_BITS, getModString } from './mods.js';
+import { buildOsr } from './osr.js';
+import { calculateDifficulty, calculatePerformance } from './difficulty.js';
+import { createOsuApi, BEATMAPS_PAGE_LIMIT } from './osu-api.js';
+import * as detection from './fc-detection.js';
+import { sanitize, formatDate, formatLength, calculateDaysRanked, calculateDaysToFC } from './format.js';
+import { createRecorder, createReplayer } from './fixtures.js';
+import { ConfigError, UsageError, ApiError, BudgetError } from './errors.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const BEATMAP_CACHE_TTL_MS = 30 * 86400000;  // ranked metadata almost never changes
+const SCORES_CACHE_TTL_MS = 86400000;        // incremental refresh skips maps fetched more recently
+const REPLAY_REQUESTS_PER_MIN = 10;  // osu!'s limit for get_replay
+const VERIFY_TIMEOUT_MS = 300000;
+const DAEMON_RETRY_MS = 15 * 60000;
+const REFRESH_BATCH_SIZE = 50;  // rows written (and checkpointed) at a time
+const RETRY_ESCALATE_ATTEMPTS = 3;  // failed refreshes in a row before a map is flagged in the summary
+const NOT_FOUND_RUNS = 3;           // runs in a row get_beatmaps returns nothing before a map counts as gone
+const ABOUT_TIMESTAMP_ROW = 18;
+const ABOUT_RULES_ROW = 20;   // each mode's rules take a block of ABOUT_RULES_ROWS rows from here
+const ABOUT_RULES_ROWS = 8;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// get_beatmaps `approved` values; maps in any status but these are moved to the Unranked sheet
+const APPROVED_STATUS = { '-2': 'graveyard', '-1': 'WIP', 0: 'pending', 1: 'ranked', 2: 'approved', 3: 'qualified', 4: 'loved' };
+const RANKED_STATUSES = new Set(['1', '2']);
+
+// How a map's get_beatmaps entry differs from the previous one: new file, status or update time
+function describeBeatmapChanges(previous, current) {
+  if (!previous) return [];
+  const changes = [];
+  if (previous.file_md5 !== current.file_md5) changes.push('.osu file changed');
+  if (previous.approved !== current.approved) {
+    changes.push(`status ${APPROVED_STATUS[previous.approved] || previous.approved} → ${APPROVED_STATUS[current.approved] || current.approved}`);
+  }
+  if (previous.last_update !== current.last_update) changes.push(`updated ${current.last_update}`);
+  return changes;
+}
+
+// Failures that will never succeed on a retry, so the ledger stops further attempts
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// ── Tracker ───────────────────────────────────────────────────────────────────
+
+/**
+ * Everything the CLI does, for one mode (and optional mod category), with all
+ * configuration passed in. Nothing is read from the environment and nothing
+ * exits the process: bad configuration throws ConfigError, bad arguments
+ * UsageError and osu! API failures ApiError (lib/errors.js).
+ *
+ * Call `open()` before any command. `store` is 'sheets' (needs `spreadsheetId`),
+ * 'local' (`localStorePath`) or a store object. `dryRun` wraps it so nothing is
+ * written and collects the changes in `plan`. `command` labels the run in the
+ * audit log and notification digests. File locations default to the
+ * repository's cache/, state/ and danser/ directories.
+ *
+ * `record` saves every osu! API exchange and store call to fixture files in
+ * that directory, and `replay` serves such a recording back with no network
+ * (lib/fixtures.js). Both use fresh cache and state directories inside the
+ * recording, so replays and beatmaps are always fetched rather than read from
+ * earlier runs.
+ */
+export function createTracker({
+  apiKey = null,
+  store: storeOption = 'sheets',
+  spreadsheetId = null,
+  credentialsPath = path.join(ROOT_DIR, 'credentials.json'),
+  tokenPath = path.join(ROOT_DIR, 'token.json'),
+  sheetsAuthPrompt = null,      // (authUrl) => code, to create a missing token interactively
+  localStorePath = path.join(ROOT_DIR, 'tracker-data.json'),
+  mode: modeName = 'osu',
+  category: categoryName = null,
+  preset = null,
+  fcRulesPath = path.join(ROOT_DIR, 'fc-rules.json'),
+  cacheDir = path.join(ROOT_DIR, 'cache'),
+  stateDir = path.join(ROOT_DIR, 'state'),
+  danserDir = path.join(ROOT_DIR, 'danser'),
+  verifier = 'danser',          // 'danser' | 'builtin' (no binary or display needed)
+  verifyConcurrency = 1,
+  reverify = false,             // ignore recorded verdicts and run the verifier again
+  dryRun = false,
+  command = '',
+  webhooks = [],                // [{ type: 'discord' | 'json', url }]
+  webhookDigest = false,        // one message per run instead of per event
+  webhookFCMinDays = 0,         // only announce FCs that took at least this long
+  auditLogPath = null,          // JSON lines file instead of the audit sheet
+  auditSheet = 'Audit',
+  daemon: { addNewHour = 0, refreshPeriodDays = 7, windowMinutes = 60 } = {},
+  rateLimitMs = 1000,
+  apiTimeoutMs = 30000,
+  apiBudget = null,             // most osu! API requests per run (per job for the daemon)
+  record = null,                // directory to record fixtures to
+  replay = null,                // directory of a recording to replay
+} = {}) {
+  if (record && replay) throw new UsageError('Cannot record and replay at the same time');
+  const fixtures = record ? createRecorder(record) : replay ? createReplayer(replay) : null;
+  // Downloaded .osu files and replays; the danser binary itself stays in danserDir
+  let danserDataDir = danserDir;
+  if (fixtures) {
+    cacheDir = path.join(fixtures.workDir, 'cache');
+    stateDir = path.join(fixtures.workDir, 'state');
+    danserDataDir = path.join(fixtures.workDir, 'danser');
+    // Recorded URLs have the key scrubbed, so any key matches
+    if (replay) apiKey ||= 'REDACTED';
+  }
+
+  // Ruleset being tracked, optionally narrowed to a mod category: selects the API
+  // game mode, the sheets and the FC rule
+  let mode, rules;
+  try {
+    mode = withCategory(getMode(modeName), getCategory(categoryName, MOD_BITS));
+    rules = loadFCRules({ filePath: fcRulesPath, preset, mode, modBits: MOD_BITS });
+  } catch (err) {
+    throw new ConfigError(err.message, { cause: err });
+  }
+  if (mode.category && (mode.category.mask & rules.invalidModsMask)) {
+    throw new ConfigError(`Category ${mode.category.name} requires mods that never count (${rules.invalidMods.join(', ')})`);
+  }
+  const ctx = { mode, rules };
+
+  const api = createOsuApi({
+    apiKey, mode, cacheDir: path.join(cacheDir, 'osu-api'), scoreLimit: rules.scoreLimit,
+    // A replay has nothing to wait for
+    rateLimitMs: replay ? 0 : rateLimitMs,
+    replaysPerMinute: replay ? 0 : REPLAY_REQUESTS_PER_MIN,
+    retryBaseMs: replay ? 0 : undefined,
+    timeoutMs: apiTimeoutMs,
+    budget: apiBudget,
+    // A dry run reads the cache but leaves it as it was
+    readOnlyCache: dryRun,
+    ...(fixtures && { fetchImpl: fixtures.fetch }),
+  });
+
+  // Data/History live behind a store: Google Sheets, or a local JSON file so
+  // every command can run without Google credentials
+  let store = null;
+  // Set for dry runs: the store is wrapped so nothing is written, and changes are collected here
+  const plan = dryRun ? createPlan(command) : null;
+  // Every change to a map, with the command and run that made it; records nothing in dry runs
+  let audit = createAuditLog();
+  // Dry runs and replays send nothing
+  const notifier = createNotifier({ targets: dryRun || replay ? [] : webhooks, digest: webhookDigest, digestTitle: `${mode.name}: ${command}` });
+
+  // State files are kept per mode and category so trackers for different sheets can run side by side
+  function stateFile(name) {
+    return path.join(stateDir, mode.trackKey === 'osu' ? `${name}.json` : `${name}-${mode.trackKey}.json`);
+  }
+
+  // The store a run reads and writes, before any dry-run wrapping
+  function openStore() {
+    if (replay) return fixtures.wrapStore();
+    const base = typeof storeOption === 'string' ? openStoreKind(storeOption) : storeOption;
+    return record ? fixtures.wrapStore(base) : base;
+  }
+
+  function openStoreKind(kind) {
+    switch (kind) {
+      case 'sheets':
+        if (!spreadsheetId) throw new ConfigError('A spreadsheet ID is required for the Google Sheets store');
+        return createSheetsStore({ spreadsheetId, credentialsPath, tokenPath, promptForCode: sheetsAuthPrompt });
+      case 'local':  return createLocalStore(localStorePath);
+      default: throw new ConfigError(`Unknown store "${kind}" (expected "sheets" or "local")`);
+    }
+  }
+
+  // ── Replay FC Verification ──────────────────────────────────────────────────
+
+  const songsDir   = path.join(danserDataDir, 'songs', 'maps');
+  const replaysDir = path.join(danserDataDir, 'replays');
+
+  // Verdicts are reused across runs unless `reverify` is set; a dry run's are forgotten
+  const ledger = createVerificationLedger(path.join(cacheDir, 'verifications.json'), { readOnly: dryRun });
+  // Maps whose last refresh failed; a dry run's failures are forgotten afterwards
+  const retryQueue = createRetryQueue(stateFile('retry-queue'), { escalateAfter: RETRY_ESCALATE_ATTEMPTS, readOnly: dryRun });
+  // What refresh compares each map with to report changes; kept apart from the API cache, which may be wiped
+  const beatmapVersions = createBeatmapVersions(stateFile('beatmap-versions'), { readOnly: dryRun });
+
+  // Verifier runs go through a bounded pool, which cancel() empties
+  const verifyPool = createWorkerPool({ concurrency: Math.max(1, verifyConcurrency), timeoutMs: VERIFY_TIMEOUT_MS });
+
+  async function runDanser(beatmapID, replayPath, signal) {
+    return new Promise((resolve) => {
+      const sPatch = JSON.stringify({
+        Recording: { FrameWidth: 16, FrameHeight: 16, FPS: 1, libx264: { Preset: 'ultrafast' } },
+        Playfield: { Background: { LoadStoryboards: false }, DrawCursors: false },
+        Cursor: { EnableTrailGlow: false, SmokeEnabled: false },
+        // Recordings keep their maps apart from danser's own songs directory
+        General: { DiscordPresenceOn: false, ...(fixtures && { OsuSongsDir: path.dirname(songsDir) }) },
+      });
+      const proc = spawn(
+        path.join(danserDir, 'danser-cli'),
+        ['-id', String(beatmapID), '-knockout2', JSON.stringify([replayPath]),
+         '-record', '-out', '/dev/null', '-quickstart', '-sPatch', sPatch],
+        { cwd: danserDir, env: { ...process.env, DISPLAY: process.env.DISPLAY || ':0' } }
+      );
+      let stdout = '';
+      const onAbort = () => { proc.kill(); resolve({ error: `danser ${signal.reason?.message || 'aborted'}` }); };
+      signal.addEventListener('abort', onAbort, { once: true });
+      proc.stdout.on('data', d => stdout += d);
+      proc.on('close', () => {
+        signal.removeEventListener('abort', onAbort);
+        const version = /danser(?:-go)?\s+version:?\s*v?([\w.-]+)/i.exec(stdout)?.[1] || null;
+        const pattern = /\|\s*1\s*\|.*?\|\s*[\d,]+\s*\|\s*[\d.]+\s*\|\s*\w+\s*\|\s*[\d,]+\s*\|\s*[\d,]+\s*\|\s*[\d,]+\s*\|\s*[\d,]+\s*\|\s*([\d,]+)\s*\|\s*([\d,]+)\s*\|/;
+        for (const line of stdout.split('\n')) {
+          const m = pattern.exec(line);
+          if (m) {
+            const currentCombo = parseInt(m[1].replace(/,/g, ''));
+            const maxCombo     = parseInt(m[2].replace(/,/g, ''));
+            // COMBO = final combo, MAX COMBO = player's personal best during the play (not map max).
+            // If equal, combo never reset → FC. Missed slider ticks reduce both equally so they still match.
+            resolve({ is_fc: currentCombo === maxCombo, current_combo: currentCombo, max_combo: maxCombo, version });
+            return;
+          }
+        }
+        resolve({ error: 'could not parse danser output', stdout_tail: stdout.slice(-500), version });
+      });
+    });
+  }
+
+  function runBuiltinVerifier(beatmapPath, replayPath, signal) {
+    return new Promise((resolve) => {
+      const worker = new Worker(new URL('./replay-sim-worker.js', import.meta.url), { workerData: { beatmapPath, replayPath } });
+      const finish = result => {
+        signal.removeEventListener('abort', onAbort);
+        resolve({ ...result, version: SIMULATOR_VERSION });
+      };
+      const onAbort = () => { worker.terminate(); finish({ error: `replay simulation ${signal.reason?.message || 'aborted'}` }); };
+      signal.addEventListener('abort', onAbort, { once: true });
+      worker.once('message', finish);
+      worker.once('error', err => finish({ error: `replay simulation failed: ${err.message}` }));
+    });
+  }
+
+  // The map's .osu in danser's songs directory, downloaded unless it is already there
+  async function beatmapFile(beatmapID) {
+    fs.mkdirSync(songsDir, { recursive: true });
+    const beatmapPath = path.join(songsDir, `${beatmapID}.osu`);
+    if (fixtures || !fs.existsSync(beatmapPath)) {
+      const res = await api.downloadBeatmapFile(beatmapID);
+      if (!res.ok) throw new Error(`beatmap download failed: HTTP ${res.status}`);
+      fs.writeFileSync(beatmapPath, Buffer.from(await res.arrayBuffer()));
+    }
+    return beatmapPath;
+  }
+
+  async function checkAmbiguousFC(beatmapID, userID, mods, score) {
+    let ledgerKey = null;
+    try {
+      // 1. Beatmap
+      const beatmapPath = await beatmapFile(beatmapID);
+      const beatmapMd5 = crypto.createHash('md5').update(fs.readFileSync(beatmapPath)).digest('hex');
+
+      // 2. Earlier verdict for this exact score
+      ledgerKey = ledger.key(beatmapMd5, userID, mods, score.score_id);
+      const known = ledger.get(ledgerKey);
+      if (known && !reverify && (known.verdict !== 'error' || known.permanent)) {
+        return known.verdict === 'error'
+          ? { error: known.error, cached: true }
+          : { is_fc: known.verdict === 'fc', current_combo: known.current_combo, max_combo: known.max_combo, cached: true };
+      }
+
+      // 3. Replay — store in danser's own replays/{md5}/ directory
+      const replayDir  = path.join(replaysDir, beatmapMd5);
+      const replayPath = path.join(replayDir, `${beatmapID}_${userID}_${mods}.osr`);
+      if (fixtures || !fs.existsSync(replayPath)) {
+        fs.mkdirSync(replayDir, { recursive: true });
+        if (score.replay_available === '0') throw permanentError('replay not available');
+        const res = await api.getReplay(beatmapID, userID, mods);
+        if (res.status === 404) throw permanentError('replay download failed: HTTP 404');
+        if (!res.ok) throw new Error(`replay download failed: HTTP ${res.status}`);
+        const json = await res.json();
+        if (json.error) throw permanentError(`replay API: ${json.error}`);
+        const replayData = Buffer.from(json.content, 'base64');
+        fs.writeFileSync(replayPath, buildOsr(score, beatmapMd5, replayData, mode.id));
+      }
+
+      // 4. Simulate the replay, in parallel with other maps' verifications
+      const result = await verifyPool.run(signal => verifier === 'builtin'
+        ? runBuiltinVerifier(beatmapPath, replayPath, signal)
+        : runDanser(beatmapID, replayPath, signal));
+      ledger.record(ledgerKey, result, { verifier, verifierVersion: result.version });
+      return result;
+    } catch (err) {
+      if (ledgerKey) ledger.record(ledgerKey, { error: err.message }, { verifier, permanent: !!err.permanent });
+      return { error: err.message };
+    }
+  }
+
+  // Deletes the downloaded .osu when it no longer matches the map's file_md5, along
+  // with the replays kept under its MD5, so the next verification fetches both again.
+  // Returns whether anything was removed; dry runs only report what would be.
+  function invalidateBeatmapFiles(beatmapID, fileMd5, previousMd5 = null) {
+    const beatmapPath = path.join(songsDir, `${beatmapID}.osu`);
+    const staleMd5s = new Set();
+    let removed = false;
+    if (previousMd5 && previousMd5 !== fileMd5) staleMd5s.add(previousMd5);
+    if (fs.existsSync(beatmapPath)) {
+      const diskMd5 = crypto.createHash('md5').update(fs.readFileSync(beatmapPath)).digest('hex');
+      if (diskMd5 !== fileMd5) {
+        staleMd5s.add(diskMd5);
+        if (!plan) fs.rmSync(beatmapPath, { force: true });
+        removed = true;
+      }
+    }
+    for (const md5 of staleMd5s) {
+      const dir = path.join(replaysDir, md5);
+      if (!fs.existsSync(dir)) continue;
+      for (const file of fs.readdirSync(dir).filter(f => f.startsWith(`${beatmapID}_`))) {
+        if (!plan) fs.rmSync(path.join(dir, file), { force: true });
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  // ── Row Building ────────────────────────────────────────────────────────────
+
+  // With a beatmap ID, ambiguous scores are verified from their replays and FCs are audited
+  function findBestScore(scores, maxCombo, beatmapID = null) {
+    if (!beatmapID) return detection.findBestScore(scores, maxCombo, ctx);
+    return detection.findBestScore(scores, maxCombo, {
+      ...ctx,
+      beatmapId: beatmapID,
+      verify: score => checkAmbiguousFC(beatmapID, parseInt(score.user_id), parseInt(score.enabled_mods), score),
+      onFC(how, score, result) {
+        const mods = getModString(parseInt(score.enabled_mods));
+        if (how === 'combo') audit.record('fc-combo', beatmapID, `${score.username} ${mods} ${score.maxcombo}/${maxCombo}x, ${score.countmiss} miss(es)`);
+        else audit.record('fc-replay', beatmapID, `${score.username} ${mods} ${score.maxcombo}/${maxCombo}x, verified by ${verifier}${result.cached ? ' (recorded verdict)' : ''}`);
+      },
+    });
+  }
+
+  function createHyperlink(url, text) { return `=HYPERLINK("${url}","${text}")`; }
+
+  function createBeatmapNameHyperlink(b) {
+    const url = `https://osu.ppy.sh/beatmapsets/${b.beatmapset_id}#${mode.urlName}/${b.beatmap_id}`;
+    const text = `${sanitize(b.artist)}\n${sanitize(b.title)}\n[${sanitize(b.version)}]`;
+    return createHyperlink(url, text);
+  }
+
+  function createPlayerHyperlink(userID, username) {
+    if (!userID) return '';
+    return createHyperlink(`https://osu.ppy.sh/users/${userID}/${mode.urlName}`, username);
+  }
+
+  // Difficulty attributes per .osu MD5 and mods, so a run computes each only once
+  const difficultyCache = new Map();
+
+  // SR, AR, OD, CS and BPM under the best attempt's mods (the category's, or
+  // nomod, when nobody has played the map), and the pp an FC keeping the
+  // attempt's 100s and 50s would give. Blank for other modes. When the .osu
+  // can't be downloaded or read, or the budget runs out, a refreshed row keeps
+  // its `current` cells and only a new row is left blank.
+  async function modDifficultyCells(beatmapData, best, current = null) {
+    const blank = Array(COL.FC_PP - COL.MOD_SR + 1).fill('');
+    if (mode.id !== 0) return blank;
+    const mods = best.hits ? best.mods : (mode.category?.mask ?? 0);
+    try {
+      const text = fs.readFileSync(await beatmapFile(beatmapData.beatmap_id), 'utf8');
+      const key = `${crypto.createHash('md5').update(text).digest('hex')}:${mods}`;
+      if (!difficultyCache.has(key)) difficultyCache.set(key, calculateDifficulty(text, mods));
+      const attributes = difficultyCache.get(key);
+      const { pp } = calculatePerformance(attributes, { mods, count100: best.hits?.count100, count50: best.hits?.count50 });
+      const round = (value, places) => Number(value.toFixed(places));
+      return [
+        round(attributes.stars, 2),
+        round(attributes.ar, 1),
+        round(attributes.od, 1),
+        round(attributes.cs, 1),
+        round(parseFloat(beatmapData.bpm) * attributes.clockRate, 0),
+        round(pp, 0),
+      ];
+    } catch (err) {
+      // Out of budget: the row is still written, and the run stops at its next API call
+      if (!(err instanceof BudgetError)) {
+        console.error(`Difficulty calculation failed for ${beatmapData.beatmap_id}: ${err.message}${current ? ' (kept the current values)' : ''}`);
+      }
+      return current ?? blank;
+    }
+  }
+
+  // Mod difficulty cells (V–AA) of every Data row that has them, by beatmap ID
+  async function getModDifficultyCellsById() {
+    const cellsById = new Map();
+    const lastRow = await store.lastRow(mode.dataSheet);
+    if (mode.id !== 0 || lastRow < OUTPUT_ROW) return cellsById;
+    const count = lastRow - OUTPUT_ROW + 1;
+    const ids = await store.get(mode.dataSheet, OUTPUT_ROW, COL.BEATMAP_ID, count, 1, 'UNFORMATTED_VALUE');
+    const cells = await store.get(mode.dataSheet, OUTPUT_ROW, COL.MOD_SR, count, COL.FC_PP - COL.MOD_SR + 1, 'UNFORMATTED_VALUE');
+    ids.forEach((row, i) => {
+      const id = String(row?.[0] || '').trim();
+      const values = Array.from({ length: COL.FC_PP - COL.MOD_SR + 1 }, (_, j) => cells[i]?.[j] ?? '');
+      if (id && values.some(v => v !== '')) cellsById.set(id, values);
+    });
+    return cellsById;
+  }
+
+  // currentModCells: the row's V–AA values, kept if they can't be recalculated
+  async function createBeatmapRow(beatmapData, scores, best = null, currentModCells = null) {
+    const maxCombo = parseInt(beatmapData.max_combo);
+    if (!best) best = await findBestScore(scores, maxCombo, beatmapData.beatmap_id);
+    const showPctFC = best.isFC ? 100 : best.percentFC;
+    return [
+      `=IMAGE("https://assets.ppy.sh/beatmaps/${beatmapData.beatmapset_id}/covers/cover.jpg", 2)`,
+      createBeatmapNameHyperlink(beatmapData),
+      parseFloat(beatmapData.difficultyrating),
+      formatLength(parseInt(beatmapData.total_length)),
+      parseFloat(beatmapData.bpm),
+      parseFloat(beatmapData.diff_size),
+      parseFloat(beatmapData.diff_approach),
+      parseFloat(beatmapData.diff_overall),
+      parseFloat(beatmapData.diff_drain),
+      createPlayerHyperlink(beatmapData.creator_id, beatmapData.creator),
+      beatmapData.beatmap_id,
+      beatmapData.beatmapset_id,
+      formatDate(beatmapData.approved_date),
+      calculateDaysRanked(beatmapData.approved_date),
+      createPlayerHyperlink(best.userID, best.player),
+      best.scoreDate,
+      best.rank,
+      best.modString,
+      best.currentMaxCombo,
+      Number.isFinite(maxCombo) ? maxCombo : '',  // not reported for mania
+      showPctFC,
+      ...await modDifficultyCells(beatmapData, best, currentModCells),
+    ];
+  }
+
+  function createErrorRow(message) {
+    return [message, ...Array(NUM_COLS - 1).fill('')];
+  }
+
+  // ── Sheet Operations ────────────────────────────────────────────────────────
+
+  async function getExistingBeatmapIds() {
+    const lastRow = await store.lastRow(mode.dataSheet);
+    if (lastRow < OUTPUT_ROW) return [];
+    const rows = await store.get(mode.dataSheet, OUTPUT_ROW, COL.BEATMAP_ID, lastRow - OUTPUT_ROW + 1, 1, 'UNFORMATTED_VALUE');
+    return rows
+      .map(row => String(row?.[0] || '').trim())
+      .filter(id => id !== '');
+  }
+
+  // Current row of every beatmap ID in Data, for following maps across row shifts
+  async function getBeatmapRowsById() {
+    const lastRow = await store.lastRow(mode.dataSheet);
+    if (lastRow < OUTPUT_ROW) return new Map();
+    const rows = await store.get(mode.dataSheet, OUTPUT_ROW, COL.BEATMAP_ID, lastRow - OUTPUT_ROW + 1, 1, 'UNFORMATTED_VALUE');
+    const rowsById = new Map();
+    rows.forEach((row, i) => {
+      const id = String(row?.[0] || '').trim();
+      if (id) rowsById.set(id, OUTPUT_ROW + i);
+    });
+    return rowsById;
+  }
+
+  function describeAttempt(player, mods, combo) {
+    const name = cellText(player);
+    return name ? `${name} ${combo}x ${mods || 'NM'}` : 'none';
+  }
+
+  // Audits rows whose best attempt (player, mods, combo) differs from what the sheet holds
+  async function auditBestChanges(rowNumbers, allRowData) {
+    const first = Math.min(...rowNumbers);
+    const rows = await store.get(mode.dataSheet, first, OUTPUT_COL, Math.max(...rowNumbers) - first + 1, NUM_COLS, 'FORMATTED_VALUE');
+    rowNumbers.forEach((row, i) => {
+      const before = rows[row - first] || [];
+      const after = allRowData[i];
+      const id = after[COL.BEATMAP_ID - 1];
+      if (!id || String(before[COL.BEATMAP_ID - 1] ?? '') !== String(id)) return; // new row or error row
+      const from = describeAttempt(before[COL.PLAYER - 1], before[COL.MODS - 1], before[COL.COMBO - 1]);
+      const to   = describeAttempt(after[COL.PLAYER - 1], after[COL.MODS - 1], after[COL.COMBO - 1]);
+      if (from !== to) audit.record('best-changed', id, `${from} → ${to}`);
+    });
+  }
+
+  async function setBulkRowData(rowNumbers, allRowData) {
+    if (!rowNumbers.length) return;
+    if (audit.enabled) await auditBestChanges(rowNumbers, allRowData);
+    if (plan) {
+      for (const [i, row] of rowNumbers.entries()) {
+        const before = (await readDisplayRows(store, mode.dataSheet, row, 1, NUM_COLS))[0] || [];
+        if (before.length) plan.update(row, before, allRowData[i]);
+        else plan.add(row, allRowData[i]);
+      }
+    }
+    await store.ensureRows(mode.dataSheet, Math.max(...rowNumbers));
+    await store.batchSet(rowNumbers.map((row, i) => ({
+      sheet: mode.dataSheet, startRow: row, startCol: OUTPUT_COL, values: [allRowData[i]],
+    })));
+    await store.formatRows(mode.dataSheet, rowNumbers);
+  }
+
+  async function sortBeatmapData() {
+    await store.sort(mode.dataSheet, OUTPUT_ROW, NUM_COLS, [{ col: COL.SR, asc: true }]);
+  }
+
+  async function sortHistory() {
+    await store.sort(mode.historySheet, 2, COL.MAX_COMBO, [
+      { col: COL.SCORE_DATE, asc: true },
+      { col: COL.SR,         asc: true },
+    ]);
+  }
+
+  async function updateLastUpdatedTimestamp() {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const stamp = `${yesterday.getMonth() + 1}/${yesterday.getDate()}/${yesterday.getFullYear()}`;
+    try {
+      await store.set('About', ABOUT_TIMESTAMP_ROW, 2, [[`Last Updated: ${stamp}`]]);
+      // Categories share their mode's rules block
+      if (!mode.category) await store.set('About', ABOUT_RULES_ROW + mode.id * ABOUT_RULES_ROWS, 2, describeFCRules(rules, mode).map(line => [line]));
+    } catch (err) {
+      console.warn('Could not update timestamp on About sheet:', err.errors?.[0]?.message || err.message);
+    }
+  }
+
+  // ── Notifications ───────────────────────────────────────────────────────────
+
+  function notify(event) {
+    notifier.notify({ ...event, mode: mode.key, category: mode.category?.name ?? null });
+  }
+
+  function mapLinks(beatmapID, beatmapsetID) {
+    return {
+      url: `https://osu.ppy.sh/beatmapsets/${beatmapsetID}#${mode.urlName}/${beatmapID}`,
+      cover: `https://assets.ppy.sh/beatmaps/${beatmapsetID}/covers/cover.jpg`,
+    };
+  }
+
+  // Event payload for a sheet row, read with readDisplayRows so links survive
+  function rowSummary(values) {
+    const beatmapID = String(values[COL.BEATMAP_ID - 1] ?? '');
+    const player = parsePlayerCell(values[COL.PLAYER - 1]);
+    const [artist, title, version] = String(cellText(values[COL.BEATMAP - 1] ?? '')).split('\n');  // "artist\ntitle\n[version]"
+    return {
+      id: beatmapID,
+      title: version ? `${artist} - ${title} ${version}` : [artist, title].filter(Boolean).join(' - '),
+      ...mapLinks(beatmapID, values[COL.BEATMAPSET_ID - 1]),
+      stars: parseFloat(values[COL.SR - 1]) || 0,
+      player: player && { id: player.id, name: player.name, url: player.id ? `https://osu.ppy.sh/users/${player.id}/${mode.urlName}` : null },
+      mods: values[COL.MODS - 1] || 'NM',
+    };
+  }
+
+  function apiBeatmapSummary(b) {
+    return {
+      id: b.beatmap_id,
+      title: `${b.artist} - ${b.title} [${b.version}]`,
+      ...mapLinks(b.beatmap_id, b.beatmapset_id),
+      stars: parseFloat(b.difficultyrating) || 0,
+    };
+  }
+
+  // Sends one of each event, to check webhook targets
+  async function sendTestNotifications() {
+    if (!notifier.enabled) { console.log('No webhook targets configured (DISCORD_WEBHOOK_URL, WEBHOOK_URL).'); return; }
+    const beatmap = {
+      id: '75', title: 'Kenji Ninuma - DISCO PRINCE [Normal]', ...mapLinks(75, 1), stars: 2.55,
+      player: { id: '2', name: 'peppy', url: `https://osu.ppy.sh/users/2/${mode.urlName}` }, mods: 'HDHR',
+    };
+    notify({ type: 'fc', beatmap, daysToFC: 365 });
+    notify({ type: 'deleted', beatmap, daysToFC: 3 });
+    notify({ type: 'added', maps: [beatmap] });
+    notify({ type: 'failed', command: 'notify-test', error: 'This is a test failure.' });
+    await notifier.flush();
+    console.log('Sent test notifications.');
+  }
+
+  // ── Main Functions ──────────────────────────────────────────────────────────
+
+  async function addBeatmapsToSheet(newBeatmaps) {
+    console.log(`Checking ${newBeatmaps.length} new beatmap(s) for FCs...`);
+    const lastRow = await store.lastRow(mode.dataSheet);
+    const nextRow = Math.max(lastRow + 1, OUTPUT_ROW);
+    const addedRows = [];
+    const added = [];
+    const skipped = [];
+    const checks = [];
+    const inFlight = createInFlightLimit(verifyPool.concurrency * 2 + 1);
+
+    for (const beatmap of newBeatmaps) {
+      api.cacheBeatmap(beatmap);
+      let scores = [];
+      try {
+        scores = await api.getScores(beatmap.beatmap_id);
+      } catch (err) {
+        if (err instanceof BudgetError) throw err;
+        // Added without an attempt; the next refresh fetches its scores again
+        console.error('Could not fetch scores for', beatmap.beatmap_id);
+        retryQueue.fail(beatmap.beatmap_id, err);
+      }
+
+      // Replay verification for this map overlaps with fetching the next one
+      const check = findBestScore(scores, parseInt(beatmap.max_combo), beatmap.beatmap_id).then(best => ({ beatmap, scores, best }));
+      checks.push(check);
+      await inFlight.add(check);
+    }
+
+    for (const { beatmap, scores, best } of await Promise.all(checks)) {
+      if (best.isFC) {
+        skipped.push(beatmap);
+      } else {
+        const row = nextRow + addedRows.length;
+        const rowData = await createBeatmapRow(beatmap, scores, best);
+        addedRows.push({ row, rowData });
+        added.push(beatmap);
+        beatmapVersions.set(beatmap.beatmap_id, beatmap);
+      }
+    }
+
+    if (!added.length) { console.log('All beatmaps already have FCs.'); return { added: 0, skipped: skipped.length }; }
+
+    await setBulkRowData(addedRows.map(r => r.row), addedRows.map(r => r.rowData));
+    beatmapVersions.save();
+    await sortBeatmapData();
+    await updateLastUpdatedTimestamp();
+
+    for (const { rowData } of addedRows) {
+      audit.record('added', rowData[COL.BEATMAP_ID - 1],
+        `${parseFloat(rowData[COL.SR - 1]).toFixed(2)}★, closest: ${describeAttempt(rowData[COL.PLAYER - 1], rowData[COL.MODS - 1], rowData[COL.COMBO - 1])}`);
+    }
+    notify({ type: 'added', maps: added.map(apiBeatmapSummary) });
+    console.log(`\nAdded ${added.length} beatmap(s). Skipped ${skipped.length} with FCs.`);
+    for (const b of added)   console.log(`  + https://osu.ppy.sh/beatmapsets/${b.beatmapset_id}#${mode.urlName}/${b.beatmap_id}`);
+    for (const b of skipped) console.log(`  - https://osu.ppy.sh/beatmapsets/${b.beatmapset_id}#${mode.urlName}/${b.beatmap_id}`);
+    return { added: added.length, skipped: skipped.length };
+  }
+
+  // Cursor for the page after one ending at `lastApproved`: a second earlier, so
+  // difficulties of a set cut off at the page boundary are fetched again (and deduplicated)
+  function nextBackfillCursor(cursor, lastApproved) {
+    const earlier = new Date(Date.parse(lastApproved.replace(' ', 'T') + 'Z') - 1000).toISOString().replace('T', ' ').slice(0, 19);
+    if (earlier > cursor) return earlier;
+    console.warn(`Warning: a whole page was ranked at ${lastApproved}; maps ranked in that second after it may be missed.`);
+    return lastApproved;
+  }
+
+  // Pages through get_beatmaps from sinceDate to untilDate, adding each page's new
+  // maps before fetching the next. The cursor is saved to state/backfill-checkpoint.json
+  // after every page, so `backfill --resume` can continue a long run.
+  async function backfill(sinceDate, untilDate, { resume = false } = {}) {
+    let checkpoint;
+    if (resume) {
+      checkpoint = readJsonFile(stateFile('backfill-checkpoint'));
+      if (!checkpoint) { console.log('No interrupted backfill to resume.'); return; }
+      ({ since: sinceDate, until: untilDate } = checkpoint);
+      console.log(`Resuming backfill ${sinceDate} – ${untilDate} started ${checkpoint.startedAt}, from ${checkpoint.cursor}.`);
+    } else {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(sinceDate) || !/^\d{4}-\d{2}-\d{2}$/.test(untilDate)) {
+        throw new UsageError('Dates must be in YYYY-MM-DD format.');
+      }
+      if (sinceDate > untilDate) throw new UsageError(`${sinceDate} is after ${untilDate}.`);
+      const stale = readJsonFile(stateFile('backfill-checkpoint'));
+      if (stale && !plan) console.log(`Discarding checkpoint of the backfill started ${stale.startedAt} (use --resume to continue it).`);
+      checkpoint = { startedAt: new Date().toISOString(), since: sinceDate, until: untilDate, cursor: sinceDate, pages: 0, added: 0, skipped: 0 };
+    }
+    const label = `${sinceDate} – ${untilDate}`;
+    // A dry run writes nothing, so there is nothing to resume
+    const saveCheckpoint = () => { if (!plan) writeJsonFile(stateFile('backfill-checkpoint'), checkpoint, { pretty: true }); };
+    saveCheckpoint();
+
+    // Maps already in Data, and every map this run has checked
+    const seen = new Set(await getExistingBeatmapIds());
+    while (true) {
+      let page;
+      try {
+        page = await api.getBeatmapsSince(checkpoint.cursor);
+      } catch (err) {
+        console.error('Error fetching beatmaps:', err.message);
+        if (!plan) console.error('Run `backfill --resume` to continue from this page.');
+        return;
+      }
+      if (!page.length) break;
+      checkpoint.pages++;
+
+      const firstDay = page[0].approved_date.split(' ')[0];
+      const lastApproved = page[page.length - 1].approved_date;
+      const newBeatmaps = page.filter(b => {
+        const approvedDate = (b.approved_date || '').split(' ')[0];
+        return b.approved === '1' && approvedDate >= sinceDate && approvedDate <= untilDate && !seen.has(b.beatmap_id);
+      });
+      for (const b of newBeatmaps) seen.add(b.beatmap_id);
+      console.log(`\nPage ${checkpoint.pages}: ${page.length} map(s) ranked ${firstDay} – ${lastApproved.split(' ')[0]}, ${newBeatmaps.length} new in ${label}.`);
+
+      if (newBeatmaps.length) {
+        const { added, skipped } = await addBeatmapsToSheet(newBeatmaps);
+        checkpoint.added += added;
+        checkpoint.skipped += skipped;
+        await audit.flush();
+      }
+
+      if (page.length < BEATMAPS_PAGE_LIMIT || lastApproved.split(' ')[0] > untilDate) break;
+      checkpoint.cursor = nextBackfillCursor(checkpoint.cursor, lastApproved);
+      saveCheckpoint();
+    }
+
+    if (!plan) fs.rmSync(stateFile('backfill-checkpoint'), { force: true });
+    console.log(`\nBackfill ${label} done: ${checkpoint.pages} page(s), added ${checkpoint.added} map(s), skipped ${checkpoint.skipped} with FCs.`);
+  }
+
+  // incremental: reuse cached metadata and skip maps whose scores were fetched within SCORES_CACHE_TTL_MS
+  // limit: only process the N maps with the stalest scores, so a full pass can span several runs
+  async function selectRefreshJobs(fromRow, toRow, { incremental, limit }) {
+    const lastRow = await store.lastRow(mode.dataSheet);
+    const start = fromRow ? Math.max(fromRow, OUTPUT_ROW) : OUTPUT_ROW;
+    const end   = toRow   ? Math.min(toRow, lastRow)      : lastRow;
+    if (start > end) return [];
+
+    const count = end - start + 1;
+    const idRows = await store.get(mode.dataSheet, start, COL.BEATMAP_ID, count, 1, 'UNFORMATTED_VALUE');
+    let jobs = idRows
+      .map((row, i) => {
+        const id = String(row?.[0] || '').trim();
+        return id ? { row: start + i, id, scoresFetchedAt: api.scoresFetchedAt(id) } : null;
+      })
+      .filter(Boolean);
+
+    if (incremental) {
+      const total = jobs.length;
+      jobs = jobs.filter(job => Date.now() - job.scoresFetchedAt > SCORES_CACHE_TTL_MS);
+      if (total > jobs.length) console.log(`Skipping ${total - jobs.length} beatmap(s) with recently fetched scores.`);
+    }
+    if (limit && jobs.length > limit) {
+      jobs = jobs.sort((a, b) => a.scoresFetchedAt - b.scoresFetchedAt).slice(0, limit);
+    }
+    return jobs;
+  }
+
+  // Picks up the beatmap IDs an interrupted refresh had not written yet, at their current rows
+  async function resumeRefreshJobs(checkpoint) {
+    const rowsById = await getBeatmapRowsById();
+    const jobs = checkpoint.remaining.filter(id => rowsById.has(id)).map(id => ({ id, row: rowsById.get(id) }));
+    const gone = checkpoint.remaining.length - jobs.length;
+    console.log(`Resuming refresh started ${checkpoint.startedAt}: ${checkpoint.remaining.length} of ${checkpoint.total} beatmaps left.`);
+    if (gone) console.log(`Skipping ${gone} beatmap(s) no longer in Data.`);
+    return jobs;
+  }
+
+  // Rows are written every REFRESH_BATCH_SIZE maps, and the IDs still to go are saved to
+  // state/refresh-checkpoint.json so `resume` can continue an interrupted run.
+  // moveFCs: false leaves moving FCs to the caller (the daemon runs it as its own job)
+  async function refreshBeatmaps(fromRow, toRow, { incremental = false, limit = null, moveFCs = true, resume = false } = {}) {
+    let checkpoint = null;
+    let jobs;
+    if (resume) {
+      checkpoint = readJsonFile(stateFile('refresh-checkpoint'));
+      if (!checkpoint) { console.log('No interrupted refresh to resume.'); return { updated: 0, unranked: 0 }; }
+      ({ fromRow, toRow, incremental, limit } = checkpoint.params);
+      jobs = await resumeRefreshJobs(checkpoint);
+    } else {
+      const stale = readJsonFile(stateFile('refresh-checkpoint'));
+      if (stale && !plan) console.log(`Discarding checkpoint of the refresh started ${stale.startedAt} (use --resume to continue it).`);
+      jobs = await selectRefreshJobs(fromRow, toRow, { incremental, limit });
+      if (!jobs.length) { console.log('No beatmaps to refresh.'); return { updated: 0, unranked: 0 }; }
+      // A dry run writes nothing, so there is nothing to resume
+      if (!plan) {
+        checkpoint = {
+          startedAt: new Date().toISOString(),
+          params: { fromRow, toRow, incremental, limit },
+          total: jobs.length,
+          remaining: jobs.map(job => job.id),
+        };
+        writeJsonFile(stateFile('refresh-checkpoint'), checkpoint, { pretty: true });
+      }
+    }
+
+    const rangeLabel = (fromRow || toRow) ? ` (rows ${fromRow || OUTPUT_ROW}–${toRow || 'end'})` : '';
+    const requestsPerJob = incremental ? 1 : 2;
+    // Plus the .osu download for the mod columns, made once per map
+    const osuDownloads = mode.id === 0 ? jobs.filter(job => !fs.existsSync(path.join(songsDir, `${job.id}.osu`))).length : 0;
+    const requests = jobs.length * requestsPerJob + osuDownloads;
+    console.log(`Processing ${jobs.length} beatmaps${rangeLabel} (~${requests} osu! API requests, this will take ~${Math.round(requests / 60)} minutes)...`);
+
+    const currentModCells = await getModDifficultyCellsById();
+    let allRowData = [];
+    let rowNumbers = [];
+    let rowJobs = [];
+    let done = 0;  // jobs handled, whether written now or moved to Unranked at the end
+    const updated = [];
+    const unranked = [];
+    const failed = [];  // jobs whose last attempt failed, rows kept
+    const retried = new Set();  // IDs that already failed once in this run
+    const beatmapMaxAge = incremental ? BEATMAP_CACHE_TTL_MS : 0;
+    const inFlight = createInFlightLimit(verifyPool.concurrency * 2 + 1);
+
+    // Writes the batch's rows; a row that failed to build is kept as it is and queued
+    async function flush() {
+      if (!rowNumbers.length) return;
+      const results = await Promise.allSettled(allRowData);
+      const built = results.flatMap((result, i) => {
+        if (result.status === 'fulfilled') return [i];
+        recordFailure(rowJobs[i], result.reason);
+        return [];
+      });
+      await setBulkRowData(built.map(i => rowNumbers[i]), built.map(i => results[i].value));
+      beatmapVersions.save();
+      await audit.flush();
+      allRowData = [];
+      rowNumbers = [];
+      rowJobs = [];
+      if (checkpoint) {
+        checkpoint.remaining = jobs.slice(done).map(job => job.id);
+        writeJsonFile(stateFile('refresh-checkpoint'), checkpoint, { pretty: true });
+      }
+    }
+
+    // Fetches one map and queues its row. A failed fetch leaves the row as it is
+    // and puts the map in the retry queue.
+    async function refreshJob(job) {
+      // What the last refresh saw, to tell whether the map changed since
+      const previous = beatmapVersions.get(job.id);
+      let beatmapData;
+      try {
+        beatmapData = await api.getBeatmap(job.id, beatmapMaxAge);
+      } catch (err) {
+        failJob(job, err);
+        return;
+      }
+      // Nothing back is often a passing API hiccup: the row stays and the map is
+      // retried, and only NOT_FOUND_RUNS empty answers in a row move it
+      if (!beatmapData) {
+        const emptyRuns = (retryQueue.get(job.id)?.emptyResponses || 0) + (retried.has(job.id) ? 0 : 1);
+        if (emptyRuns < NOT_FOUND_RUNS) {
+          failJob(job, new ApiError('get_beatmaps returned no beatmap'), { empty: true });
+          return;
+        }
+        unranked.push({ id: job.id, status: 'not found' });
+        retryQueue.remove(job.id);
+        return;
+      }
+      if (!RANKED_STATUSES.has(beatmapData.approved)) {
+        unranked.push({ id: job.id, status: APPROVED_STATUS[beatmapData.approved] || `status ${beatmapData.approved}` });
+        retryQueue.remove(job.id);
+        return;
+      }
+
+      const changes = describeBeatmapChanges(previous, beatmapData);
+      const invalidated = invalidateBeatmapFiles(job.id, beatmapData.file_md5, previous?.file_md5);
+      beatmapVersions.set(job.id, beatmapData);
+      if (changes.length || invalidated) {
+        const details = [...changes, ...(invalidated ? ['cached .osu and replays removed'] : [])].join(', ');
+        updated.push({ id: job.id, details });
+        audit.record('beatmap-updated', job.id, details);
+      }
+
+      // Writing the row without scores would drop its best attempt
+      let scores;
+      try {
+        scores = await api.getScores(job.id);
+      } catch (err) {
+        failJob(job, err);
+        return;
+      }
+      retryQueue.remove(job.id);
+
+      // Replay verification for this map overlaps with fetching the next one
+      const rowData = createBeatmapRow(beatmapData, scores, null, currentModCells.get(job.id));
+      allRowData.push(rowData);
+      rowNumbers.push(job.row);
+      rowJobs.push(job);
+      await inFlight.add(rowData);
+    }
+
+    function failJob(job, err, options = {}) {
+      // Not the map's fault: the run stops instead
+      if (err instanceof BudgetError) throw err;
+      recordFailure(job, err, options);
+    }
+
+    function recordFailure(job, err, { empty = false } = {}) {
+      const retry = retried.has(job.id);
+      const entry = retryQueue.fail(job.id, err, { retry, empty });
+      failed.push(job);
+      audit.record('error', job.id, `API Error: ${err.message} (${retry ? 'retried, ' : ''}attempt ${entry.attempts}, row kept)`);
+    }
+
+    // Running out of API budget stops the run like an interruption: what was
+    // fetched is written, and `resume` picks up the rest
+    let budgetError = null;
+    for (const job of jobs) {
+      if (rowNumbers.length >= REFRESH_BATCH_SIZE) await flush();
+      try {
+        await refreshJob(job);
+      } catch (err) {
+        if (!(err instanceof BudgetError)) throw err;
+        budgetError = err;
+        break;
+      }
+      done++;
+    }
+    await flush();
+
+    // One more try for this run's failures and for maps earlier runs left in the
+    // queue; rows haven't moved yet, as nothing was deleted
+    const jobIds = new Set(jobs.map(job => job.id));
+    const rowsById = await getBeatmapRowsById();
+    const retries = budgetError ? [] : failed.splice(0);
+    for (const id of budgetError ? [] : retryQueue.ids()) {
+      if (jobIds.has(id)) continue;
+      if (rowsById.has(id)) retries.push({ id, row: rowsById.get(id) });
+      else retryQueue.remove(id);  // moved, deleted or unranked since
+    }
+    for (const job of retries) if (jobIds.has(job.id)) retried.add(job.id);
+    if (retries.length) {
+      console.log(`Retrying ${retries.length} beatmap(s) whose refresh failed...`);
+      for (const job of retries) {
+        if (rowNumbers.length >= REFRESH_BATCH_SIZE) await flush();
+        try {
+          await refreshJob(job);
+        } catch (err) {
+          if (!(err instanceof BudgetError)) throw err;
+          budgetError = err;
+          // This run's failures that never got their second try
+          failed.push(...retries.slice(retries.indexOf(job)).filter(r => retried.has(r.id) && !failed.includes(r)));
+          break;
+        }
+      }
+    }
+    await flush();
+
+    const moved = await moveRowsToUnranked(unranked);
+    if (moveFCs) await moveFCsToHistory();
+    await updateLastUpdatedTimestamp();
+    if (checkpoint && !budgetError) fs.rmSync(stateFile('refresh-checkpoint'), { force: true });
+
+    if (updated.length || unranked.length) {
+      console.log(`\nBeatmap changes: ${updated.length} updated, ${moved} moved to ${mode.unrankedSheet}.`);
+      for (const u of updated)  console.log(`  ~ ${u.id}: ${u.details}`);
+      for (const u of unranked) console.log(`  x ${u.id}: ${u.status}`);
+    }
+    if (failed.length) {
+      console.log(`\n${failed.length} beatmap(s) could not be refreshed and kept their rows; they are retried on the next run.`);
+      for (const job of failed) console.log(`  ! ${job.id}: ${retryQueue.get(job.id)?.lastError}`);
+    }
+    const escalated = retryQueue.escalated();
+    if (escalated.length) {
+      console.warn(`\n${escalated.length} beatmap(s) failed ${RETRY_ESCALATE_ATTEMPTS} or more refreshes in a row:`);
+      for (const e of escalated) console.warn(`  !! ${e.id}: ${e.attempts} attempts since ${e.firstFailedAt}, last error: ${e.lastError}`);
+    }
+    if (budgetError) {
+      console.warn(`\n${budgetError.message}: stopped after ${done} of ${jobs.length} beatmaps.${checkpoint ? ' Run refresh --resume to continue.' : ''}`);
+      return { updated: updated.length, unranked: moved, failed: failed.length, budgetExhausted: true };
+    }
+    console.log(`Done! Processed ${jobs.length} beatmaps.`);
+    return { updated: updated.length, unranked: moved, failed: failed.length, budgetExhausted: false };
+  }
+
+  // Moves the Data rows of maps that lost ranked status (or vanished from the API)
+  // to the Unranked sheet, with their new status and today's date; returns how many
+  async function moveRowsToUnranked(entries) {
+    if (!entries.length) return 0;
+    await store.ensureSheet(mode.unrankedSheet, HEADERS.Unranked);
+    const rowsById = await getBeatmapRowsById();
+    const items = entries
+      .filter(e => rowsById.has(e.id))
+      .map(e => ({ ...e, row: rowsById.get(e.id) }))
+      .sort((a, b) => b.row - a.row);  // bottom up, so earlier rows keep their numbers
+
+    for (const item of items) {
+      const values = (await readDisplayRows(store, mode.dataSheet, item.row, 1, COL.PCT_FC))[0] || [];
+      plan?.unrank(item.row, values, item.status);
+      const padded = [...values, ...Array(Math.max(COL.PCT_FC - values.length, 0)).fill('')];
+      const targetRow = (await store.lastRow(mode.unrankedSheet)) + 1;
+      await store.ensureRows(mode.unrankedSheet, targetRow);
+      await store.set(mode.unrankedSheet, targetRow, 1, [[...padded, item.status, formatDate(new Date())]]);
+      await store.completeMove(mode.dataSheet, item.row, mode.unrankedSheet, targetRow);
+      audit.record('unranked', item.id, `now ${item.status}, moved to ${mode.unrankedSheet}`);
+      beatmapVersions.remove(item.id);
+    }
+    beatmapVersions.save();
+    return items.length;
+  }
+
+  async function addNewRankedBeatmaps() {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const sinceDate = yesterday.toISOString().split('T')[0];
+
+    let beatmaps;
+    try {
+      beatmaps = await api.getBeatmapsSince(sinceDate);
+    } catch (err) {
+      throw new Error(`Error fetching new ranked beatmaps: ${err.message}`, { cause: err });
+    }
+    if (!beatmaps?.length) { console.log('No new ranked beatmaps found.'); return; }
+
+    const ranked = beatmaps.filter(b => b.approved === '1');
+    if (!ranked.length) { console.log('No ranked beatmaps (only qualified/other).'); return; }
+
+    const existingIds = await getExistingBeatmapIds();
+    const newBeatmaps = ranked.filter(b => !existingIds.includes(b.beatmap_id));
+    if (!newBeatmaps.length) { console.log('All new beatmaps already in spreadsheet.'); return; }
+
+    await addBeatmapsToSheet(newBeatmaps);
+  }
+
+  async function moveFCsToHistory() {
+    const lastRow = await store.lastRow(mode.dataSheet);
+    const rowCount = lastRow - OUTPUT_ROW + 1;
+    if (rowCount <= 0) return { moved: 0, deleted: 0, removedRows: [] };
+    const startRow = OUTPUT_ROW;
+    const allData = await store.get(mode.dataSheet, OUTPUT_ROW, OUTPUT_COL, rowCount, NUM_COLS, 'FORMATTED_VALUE');
+    const toMove = [];
+    const toDelete = [];
+
+    for (let i = 0; i < allData.length; i++) {
+      const row = allData[i] || [];
+      if (row.every(c => c === '' || c == null)) continue;
+
+      const rankedDate = row[COL.RANKED_DATE - 1];
+      const scoreDate  = row[COL.SCORE_DATE - 1];
+      const pctFC      = parseFloat(row[COL.PCT_FC - 1]);
+
+      if (pctFC !== 100) continue;
+
+      const hasScoreDate = scoreDate && scoreDate !== '' && !isNaN(new Date(scoreDate).getTime());
+      const daysToFC = hasScoreDate ? calculateDaysToFC(rankedDate, scoreDate) : Infinity;
+
+      const entry = { row: startRow + i, beatmapsetID: row[COL.BEATMAPSET_ID - 1], beatmapID: row[COL.BEATMAP_ID - 1], values: row, daysToFC };
+
+      if (daysToFC >= rules.recentFCDays) {
+        if (hasScoreDate) toMove.push(entry);
+      } else {
+        toDelete.push(entry);
+      }
+    }
+
+    // Process in reverse row order to avoid row-shift issues after deletions
+    const allToProcess = [
+      ...toMove.map(e => ({ ...e, action: 'move' })),
+      ...toDelete.map(e => ({ ...e, action: 'delete' })),
+    ].sort((a, b) => b.row - a.row);
+
+    let moved = 0, deleted = 0;
+    const removedRows = [];
+    for (const item of allToProcess) {
+      removedRows.push(item.row);
+      if (item.action === 'move') {
+        await moveRowToHistory(item.row);
+        moved++;
+      } else {
+        plan?.delete(item.row, item.values, item.daysToFC);
+        if (notifier.enabled) {
+          const values = (await readDisplayRows(store, mode.dataSheet, item.row, 1, NUM_COLS))[0] || item.values;
+          notify({ type: 'deleted', beatmap: rowSummary(values), daysToFC: item.daysToFC });
+        }
+        await store.deleteRow(mode.dataSheet, item.row);
+        audit.record('deleted', item.beatmapID,
+          `FC by ${describeAttempt(item.values[COL.PLAYER - 1], item.values[COL.MODS - 1], item.values[COL.COMBO - 1])} ${item.daysToFC} days after ranking`);
+        deleted++;
+      }
+    }
+
+    // Sort History once at the end rather than after every row move
+    if (moved > 0) await sortHistory();
+
+    if (moved || deleted) {
+      console.log(`Found ${moved + deleted} FC(s): moved ${moved} to History, deleted ${deleted} recent.`);
+    }
+    return { moved, deleted, removedRows };
+  }
+
+  async function moveRowToHistory(rowNumber) {
+    if (!Number.isInteger(rowNumber) || rowNumber < OUTPUT_ROW) throw new UsageError(`Invalid Data row: ${rowNumber}`);
+    const columnsToMove = COL.MAX_COMBO; // A–T (% FC and the mod columns stay behind)
+
+    const dataToMove = (await readDisplayRows(store, mode.dataSheet, rowNumber, 1, columnsToMove))[0] || [];
+
+    const rankedDate = dataToMove[COL.RANKED_DATE - 1];
+    const scoreDate  = dataToMove[COL.SCORE_DATE - 1];
+    dataToMove[COL.DAYS_RANKED - 1] = calculateDaysToFC(rankedDate, scoreDate); // col N → days to FC
+    plan?.move(rowNumber, dataToMove, dataToMove[COL.DAYS_RANKED - 1]);
+
+    const historyLastRow = await store.lastRow(mode.historySheet);
+    const targetRow = historyLastRow + 1;
+    await store.ensureRows(mode.historySheet, targetRow);
+    await store.set(mode.historySheet, targetRow, 1, [dataToMove]);
+
+    await store.completeMove(mode.dataSheet, rowNumber, mode.historySheet, targetRow);
+
+    const daysToFC = dataToMove[COL.DAYS_RANKED - 1];
+    audit.record('moved', dataToMove[COL.BEATMAP_ID - 1],
+      `FC by ${describeAttempt(dataToMove[COL.PLAYER - 1], dataToMove[COL.MODS - 1], dataToMove[COL.COMBO - 1])} after ${daysToFC} days`);
+    if (daysToFC >= webhookFCMinDays) notify({ type: 'fc', beatmap: rowSummary(dataToMove), daysToFC });
+  }
+
+  // All rows below the header, formulas kept
+  async function readSheetRows(sheet, lastRow = null) {
+    lastRow ??= await store.lastRow(sheet);
+    if (lastRow < OUTPUT_ROW) return [];
+    return readDisplayRows(store, sheet, OUTPUT_ROW, lastRow - OUTPUT_ROW + 1, NUM_COLS);
+  }
+
+  // Player leaderboard from Data (closest attempts) and History (first FCs);
+  // writeSheet also publishes it to the mode's Stats sheet
+  async function showStats({ writeSheet = false } = {}) {
+    const stats = computeStats(await readSheetRows(mode.dataSheet), await readSheetRows(mode.historySheet));
+    printStats(stats);
+    if (!writeSheet) return stats;
+
+    const title = `${mode.name} player stats (generated ${formatDate(new Date())})`;
+    const rows = [[title], [], ...statsTables(stats, p => createPlayerHyperlink(p.id, p.name) || p.name)];
+    await store.ensureSheet(mode.statsSheet, [title]);
+    await store.clear(mode.statsSheet);
+    await store.set(mode.statsSheet, 1, 1, rows);
+    console.log(`\nWrote ${mode.statsSheet} sheet.`);
+    return stats;
+  }
+
+  async function exportSite(dir) {
+    const maps = await readRecords(store, mode.dataSheet, 'Data');
+    const history = await readRecords(store, mode.historySheet, 'History');
+    const files = writeSite(dir, {
+      title: `${mode.name} maps without an FC`,
+      meta: { mode: mode.key, category: mode.category?.key ?? null },
+      maps,
+      history,
+    });
+    console.log(`Exported ${maps.length} map(s) and ${history.length} History entries to ${dir}:`);
+    for (const file of files) console.log(`  ${path.relative(process.cwd(), file) || file}`);
+    return files;
+  }
+
+  // Filters and sorts Data or History records and prints them (lib/query.js).
+  // Every read is kept as a snapshot in the cache directory, which `offline`
+  // queries use, as do queries whose store can't be opened or read.
+  async function queryMaps({ table = 'Data', filters = [], sort = [], limit = null, columns = null, format = 'table', offline = false } = {}) {
+    if (!['Data', 'History'].includes(table)) throw new UsageError(`Unknown table "${table}" (expected Data or History)`);
+    const snapshotPath = path.join(cacheDir, mode.trackKey === 'osu' ? 'query-snapshot.json' : `query-snapshot-${mode.trackKey}.json`);
+    let snapshot = null;
+    if (!offline) {
+      try {
+        if (!store) await open();
+        const read = async (sheet, name) => (await store.hasSheet(sheet)) ? readRecords(store, sheet, name) : [];
+        snapshot = { savedAt: new Date().toISOString(), Data: await read(mode.dataSheet, 'Data'), History: await read(mode.historySheet, 'History') };
+        writeJsonFile(snapshotPath, snapshot);
+      } catch (err) {
+        snapshot = readJsonFile(snapshotPath);
+        if (!snapshot) throw err;
+        console.error(`Could not read ${mode.dataSheet}/${mode.historySheet} (${err.message}), using the snapshot from ${snapshot.savedAt}.`);
+      }
+    } else {
+      snapshot = readJsonFile(snapshotPath);
+      if (!snapshot) throw new UsageError(`No query snapshot at ${snapshotPath} yet; run query once without --offline`);
+      console.error(`Using the snapshot from ${snapshot.savedAt}.`);
+    }
+
+    const records = snapshot[table];
+    let results, output;
+    try {
+      results = runQuery(records, { table, filters, sort, limit });
+      output = formatResults(results, { table, format, ...(columns && { columns }) });
+    } catch (err) {
+      throw new UsageError(err.message, { cause: err });
+    }
+    console.log(output);
+    if (format === 'table') console.log(`\n${results.length} of ${records.length} ${table === 'Data' ? mode.dataSheet : mode.historySheet} map(s).`);
+    return results;
+  }
+
+  // Reports duplicate, misplaced, broken and blank rows in Data and History;
+  // fix deletes or rewrites what can be repaired without the API and reapplies
+  // Data's number formats. Resolves to the problems found and the count fixed.
+  async function checkSheets({ fix = false } = {}) {
+    // Error rows have no beatmap ID, which lastRow goes by
+    const lastRowOf = async sheet => Math.max(await store.lastRow(sheet), await store.lastRow(sheet, COL.IMAGE));
+    const data = await readSheetRows(mode.dataSheet, await lastRowOf(mode.dataSheet));
+    const history = await readSheetRows(mode.historySheet, await lastRowOf(mode.historySheet));
+    const problems = findProblems({ dataSheet: mode.dataSheet, historySheet: mode.historySheet, data, history, mode });
+    printProblems(problems);
+    if (!fix) return { problems, fixed: 0 };
+
+    const rowsOf = sheet => (sheet === mode.dataSheet ? data : history);
+    const valuesAt = p => rowsOf(p.sheet)[p.row - OUTPUT_ROW] || [];
+    const fixes = problems.filter(p => p.fix);
+    let fixed = 0;
+
+    // Rewrites first, while row numbers still match the scan
+    for (const p of fixes.filter(p => p.fix.action === 'set-pct')) {
+      const value = Math.round(p.fix.value * 100) / 100;
+      plan?.repair(p.sheet, p.row, valuesAt(p), `% FC → ${value.toFixed(2)}`);
+      await store.set(p.sheet, p.row, COL.PCT_FC, [[value]]);
+      audit.record('repaired', p.beatmapId, `${p.sheet} row ${p.row}: % FC ${p.detail}`);
+      fixed++;
+    }
+
+    // Then deletions, bottom-up so earlier row numbers stay valid
+    const deletions = fixes.filter(p => p.fix.action === 'delete')
+      .sort((a, b) => (a.sheet === b.sheet ? b.row - a.row : a.sheet.localeCompare(b.sheet)));
+    for (const p of deletions) {
+      plan?.repair(p.sheet, p.row, valuesAt(p), `delete: ${p.type === 'blank' ? 'blank row' : p.detail}`);
+      await store.deleteRow(p.sheet, p.row);
+      if (p.beatmapId) audit.record('repaired', p.beatmapId, `deleted ${p.sheet} row ${p.row} (${p.detail})`);
+      fixed++;
+    }
+
+    const lastRow = await lastRowOf(mode.dataSheet);
+    const rowNumbers = [];
+    for (let row = OUTPUT_ROW; row <= lastRow; row++) rowNumbers.push(row);
+    for (let i = 0; i < rowNumbers.length; i += 500) await store.formatRows(mode.dataSheet, rowNumbers.slice(i, i + 500));
+
+    const left = problems.length - fixes.length;
+    console.log(`\nFixed ${fixed} problem(s) and reapplied number formats to ${rowNumbers.length} Data row(s).${left ? ` ${left} need a manual fix or a refresh.` : ''}`);
+    return { problems, fixed };
+  }
+
+  // What a run (or daemon job) cost in osu! API requests, if it made any
+  function logApiUsage() {
+    const { total, budget, endpoints } = api.usage();
+    if (!total) return;
+    const sum = key => Object.values(endpoints).reduce((n, c) => n + c[key], 0);
+    const byEndpoint = Object.entries(endpoints).map(([name, c]) => `${name} ${c.requests}`).join(', ');
+    const problems = [['retried', sum('retries')], ['failed', sum('failures')], ['throttled', sum('throttled')]]
+      .filter(([, n]) => n).map(([label, n]) => `, ${n} ${label}`).join('');
+    console.log(`osu! API: ${total} request(s) (${byEndpoint})${problems}${budget !== null ? `, budget ${total}/${budget}` : ''}.`);
+  }
+
+  // Touched after every run that changes the sheets, so `serve` knows to reload
+  function markDataUpdated(label = command) {
+    writeJsonFile(stateFile('data-updated'), { command: label, finishedAt: new Date().toISOString() });
+  }
+
+  // Resolves to the server handle (`reload()`, `close()`) once listening
+  async function serveApi({ port, host = '127.0.0.1' }) {
+    // A fresh store per load: the local store only reads its file on init
+    const loadSnapshot = async () => {
+      const source = openStore();
+      await source.init();
+      const read = async (sheet, table) => (await source.hasSheet(sheet)) ? readRecords(source, sheet, table) : [];
+      return {
+        meta: { mode: mode.key, category: mode.category?.key ?? null },
+        maps: await read(mode.dataSheet, 'Data'),
+        history: await read(mode.historySheet, 'History'),
+      };
+    };
+    const watchPath = stateFile('data-updated');
+    const server = await startApiServer({ port, host, loadSnapshot, watchPath });
+    console.log(`Serving ${mode.name} data on http://${host}:${port}/ (reloads after runs that update ${path.basename(watchPath)}, or on SIGHUP)`);
+    return server;
+  }
+
+  async function mirrorToLocal(targetPath) {
+    const local = createLocalStore(targetPath);
+    await local.init();
+    for (const sheet of [mode.dataSheet, mode.historySheet]) {
+      if (!(await store.hasSheet(sheet))) { console.log(`No "${sheet}" sheet to mirror.`); continue; }
+      const lastRow = await store.lastRow(sheet);
+      if (lastRow < 1) continue;
+      const rows = await readDisplayRows(store, sheet, 1, lastRow, NUM_COLS);
+      await local.batchSet([{ sheet, startRow: 1, startCol: OUTPUT_COL, values: rows }]);
+      console.log(`Mirrored ${Math.max(rows.length - 1, 0)} ${sheet} row(s).`);
+    }
+    console.log('Saved to', targetPath);
+  }
+
+  // ── Daemon ──────────────────────────────────────────────────────────────────
+
+  let daemon = null;
+
+  // First addNewHour (UTC) strictly after `since`
+  function nextDailyRun(since) {
+    const next = new Date(since);
+    next.setUTCHours(addNewHour, 0, 0, 0);
+    if (next.getTime() <= since) next.setUTCDate(next.getUTCDate() + 1);
+    return next.getTime();
+  }
+
+  // Refreshes Data in consecutive row windows sized so a full pass over the sheet
+  // takes refreshPeriodDays, adding newly ranked maps once a day and moving FCs
+  // after every window.
+  async function runDaemon() {
+    if (plan) throw new UsageError('The daemon does not support dry runs');
+    const windowMs = windowMinutes * 60000;
+    const windowsPerPass = Math.max(1, Math.floor(refreshPeriodDays * 86400000 / windowMs));
+
+    daemon = createDaemon({
+      statePath: stateFile('daemon'),
+      healthPath: stateFile('health'),
+      // Each job run is one audit run and one notification digest
+      beforeJob(name) {
+        audit.begin(`daemon ${name}`);
+        api.resetUsage();
+      },
+      async afterJob(name, err) {
+        logApiUsage();
+        if (err) notify({ type: 'failed', command: `daemon ${name}`, error: err.message });
+        else markDataUpdated(`daemon ${name}`);
+        await audit.flush();
+        await notifier.flush();
+      },
+      jobs: [
+        {
+          name: 'add-new',
+          retryMs: DAEMON_RETRY_MS,
+          due: (s, states, now) => !s.lastSuccess || now >= nextDailyRun(Date.parse(s.lastSuccess)),
+          run: () => addNewRankedBeatmaps(),
+        },
+        {
+          name: 'refresh',
+          retryMs: DAEMON_RETRY_MS,
+          due: (s, states, now) => !s.lastRun || now - Date.parse(s.lastRun) >= windowMs,
+          async run(s) {
+            const lastRow = await store.lastRow(mode.dataSheet);
+            const size = Math.ceil(Math.max(lastRow - OUTPUT_ROW + 1, 0) / windowsPerPass);
+            if (!s.cursor || s.cursor > lastRow) {
+              if (s.cursor) s.lastPassCompleted = new Date().toISOString();
+              s.cursor = OUTPUT_ROW;
+              s.passStarted = new Date().toISOString();
+            }
+            if (size === 0) { console.log('No beatmaps to refresh.'); return; }
+            const toRow = Math.min(s.cursor + size - 1, lastRow);
+            const { unranked, budgetExhausted } = await refreshBeatmaps(s.cursor, toRow, { moveFCs: false });
+            // Failing the job keeps the cursor, so the window is retried with a fresh budget
+            if (budgetExhausted) throw new BudgetError('osu! API request budget used up before the window was refreshed');
+            // Maps moved to Unranked were all inside the window
+            s.cursor = toRow + 1 - unranked;
+          },
+        },
+        {
+          // Follows every refresh window
+          name: 'move-fcs',
+          retryMs: DAEMON_RETRY_MS,
+          due: (s, states) => !!states.refresh.lastSuccess && (!s.lastRun || s.lastRun < states.refresh.lastSuccess),
+          async run(s, states) {
+            const { removedRows } = await moveFCsToHistory();
+            // Rows above the refresh cursor shifted up; keep the cursor on the same map
+            const refresh = states.refresh;
+            if (refresh.cursor) refresh.cursor -= removedRows.filter(row => row < refresh.cursor).length;
+          },
+        },
+      ],
+    });
+
+    console.log(`Daemon started for ${mode.name}: add-new daily at ${String(addNewHour).padStart(2, '0')}:00 UTC, ` +
+      `refresh in ${windowsPerPass} window(s) of ${windowMinutes} min (full pass every ${refreshPeriodDays} days).`);
+    console.log(`Health: ${stateFile('health')}`);
+    await daemon.start();
+    console.log('Daemon stopped.');
+  }
+
+  // ── Public Interface ────────────────────────────────────────────────────────
+
+  // Opens the store (wrapped for dry runs) and starts an audit run
+  async function open() {
+    store = openStore();
+    await store.init();
+    if (plan) {
+      store = createDryRunStore(store);
+      await store.init();
+    } else {
+      audit = createAuditLog(auditLogPath
+        ? { filePath: path.resolve(auditLogPath), mode: mode.trackKey }
+        : { store, sheet: auditSheet, mode: mode.trackKey });
+      audit.begin(command);
+    }
+  }
+
+  return {
+    mode,
+    rules,
+    api,
+    get store() { return store; },
+    get plan() { return plan; },
+
+    open,
+
+    // Creates the mode's Data/History sheets if they don't exist yet
+    async ensureSheets() {
+      await store.ensureSheet(mode.dataSheet, HEADERS.Data);
+      await store.ensureSheet(mode.historySheet, HEADERS.History);
+    },
+
+    // Commands
+    refresh: refreshBeatmaps,
+    addNew: addNewRankedBeatmaps,
+    moveFCs: moveFCsToHistory,
+    moveToHistory: moveRowToHistory,
+    sort: sortBeatmapData,
+    backfill,
+    mirror: mirrorToLocal,
+    runDaemon,
+    stats: showStats,
+    exportSite,
+    check: checkSheets,
+    query: queryMaps,
+    serve: serveApi,
+    notifyTest: sendTestNotifications,
+    describeRules: () => describeFCRules(rules, mode),
+
+    // FC detection under this tracker's mode and rules
+    isFCByCombo: (score, maxCombo) => detection.isFCByCombo(score, maxCombo, ctx),
+    isAmbiguousFC: (score, maxCombo) => detection.isAmbiguousFC(score, maxCombo, ctx),
+    findBestScore,
+    checkAmbiguousFC,
+
+    // Sheet operations
+    createBeatmapRow,
+    createErrorRow,
+    setBulkRowData,
+    getExistingBeatmapIds,
+    getBeatmapRowsById,
+    sortHistory,
+    updateLastUpdatedTimestamp,
+    markDataUpdated,
+
+    // Lets the running daemon job finish; false if no daemon is running (or it is already stopping)
+    stopDaemon() {
+      if (!daemon || daemon.stopping) return false;
+      daemon.stop();
+      return true;
+    },
+
+    // Kills running verifier processes so an interrupted run leaves no orphans behind
+    cancel() {
+      daemon?.abort();
+      verifyPool.cancelAll(new Error('cancelled'));
+    },
+
+    notifyFailure(err, label = command) {
+      notify({ type: 'failed', command: label, error: err.message });
+    },
+
+    // Logs the run's API usage, writes pending audit entries, waits for notifications
+    // and finishes a recording
+    async close() {
+      if (!daemon) logApiUsage();
+      await Promise.all([audit.flush(), notifier.flush()]);
+      fixtures?.close({ command, mode: mode.trackKey });
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { readJsonFile, writeJsonFile } from './json-file.js';
+
+/**
+ * Persistent record of replay verification verdicts, keyed by beatmap MD5,
+ * user ID, mods and score ID. Entries look like
+ * `{ verdict: 'fc' | 'not_fc' | 'error', current_combo, max_combo, error,
+ *    permanent, verifier, verifier_version, checked_at }`. With `readOnly` (dry
+ * runs), new verdicts are kept in memory.
+ */
+export function createVerificationLedger(filePath, { readOnly = false } = {}) {
+  let entries = null;
+
+  function load() {
+    if (!entries) entries = readJsonFile(filePath, {});
+    return entries;
+  }
+
+  function save() {
+    if (!readOnly) writeJsonFile(filePath, entries, { pretty: true });
+  }
+
+  return {
+    key(beatmapMd5, userID, mods, scoreID) {
+      return `${beatmapMd5}:${userID}:${mods}:${scoreID}`;
+    },
+
+    get(key) {
+      return load()[key] || null;
+    },
+
+    // result: a verifier result ({ is_fc, current_combo, max_combo } or { error })
+    record(key, result, { verifier, verifierVersion = null, permanent = false } = {}) {
+      const entry = result.error
+        ? { verdict: 'error', error: result.error, permanent }
+        : { verdict: result.is_fc ? 'fc' : 'not_fc', current_combo: result.current_combo, max_combo: result.max_combo };
+      load()[key] = { ...entry, verifier, verifier_version: verifierVersion, checked_at: new Date().toISOString() };
+      save();
+      return entries[key];
+    },
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Bounded pool for long-running jobs such as replay verifier processes.
+ * `run(job)` queues `job(signal)` and resolves with its result once it has run;
+ * at most `concurrency` jobs run at a time. A job's signal aborts when it exceeds
+ * `timeoutMs` or when `cancelAll()` is called, and the job is expected to stop
+ * its child process or worker when that happens.
+ */
+export function createWorkerPool({ concurrency = 1, timeoutMs = 0 } = {}) {
+  const queue = [];
+  const running = new Set();
+  let cancelled = false;
+
+  function next() {
+    while (running.size < concurrency && queue.length) start(queue.shift());
+  }
+
+  function start({ job, resolve, reject }) {
+    const controller = new AbortController();
+    running.add(controller);
+    const timer = timeoutMs > 0
+      ? setTimeout(() => controller.abort(new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs)
+      : null;
+
+    Promise.resolve()
+      .then(() => job(controller.signal))
+      .then(resolve, reject)
+      .finally(() => {
+        clearTimeout(timer);
+        running.delete(controller);
+        next();
+      });
+  }
+
+  return {
+    run(job) {
+      if (cancelled) return Promise.reject(new Error('worker pool cancelled'));
+      return new Promise((resolve, reject) => {
+        queue.push({ job, resolve, reject });
+        next();
+      });
+    },
+
+    // Aborts running jobs and rejects everything still queued
+    cancelAll(reason = new Error('cancelled')) {
+      cancelled = true;
+      for (const { reject } of queue.splice(0)) reject(reason);
+      for (const controller of running) controller.abort(reason);
+    },
+
+    get concurrency() { return concurrency; },
+    get active() { return running.size; },
+    get pending() { return queue.length; },
+  };
+}
+
+/**
+ * Keeps at most `max` promises in flight: `add(promise)` returns once there is
+ * room for another, so a producer loop can run ahead of slow consumers. A
+ * rejection is left to whoever holds the promise.
+ */
+export function createInFlightLimit(max) {
+  const inFlight = new Set();
+  return {
+    async add(promise) {
+      const settled = promise.then(() => inFlight.delete(settled), () => inFlight.delete(settled));
+      inFlight.add(settled);
+      while (inFlight.size >= max) await Promise.race(inFlight);
+    },
+  };
+}
@@ -1,991 +1,267 @@
-import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
-import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { createInterface } from 'readline/promises';
-import { spawn } from 'child_process';
 import 'dotenv/config';
+import { createTracker, TrackerError, ConfigError, UsageError } from './lib/index.js';
+import { webhookTargetsFromEnv } from './lib/notifier.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ── Config ────────────────────────────────────────────────────────────────────
 
+// The CLI reads its configuration from the environment (and .env) and passes it
+// to createTracker (lib/tracker.js), which never reads process.env itself.
+
 const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
 const OSU_API_KEY = process.env.OSU_API_KEY;
-const RATE_LIMIT_DELAY = 1000;
-const CREDENTIALS_PATH = path.join(__dirname, 'credentials.json');
-const TOKEN_PATH = path.join(__dirname, 'token.json');
-
-const SHEETS_REQUESTS_PER_MIN = 55;
-const SHEETS_MAX_RETRIES = 6;
-const SHEETS_RETRY_BASE_MS = 2000;
-const REPLAY_REQUESTS_PER_MIN = 10;
-const DANSER_TIMEOUT_MS = 300000;
-const SHEETS_BATCH_CHUNK = 200;
-const SHEETS_FORMAT_CHUNK = 1000;
+const TRACKER_STORE = process.env.TRACKER_STORE || 'sheets';  // 'sheets' | 'local'
+const LOCAL_STORE_PATH = process.env.LOCAL_STORE_PATH || path.join(__dirname, 'tracker-data.json');
+const FC_RULES_PATH = process.env.FC_RULES_PATH || path.join(__dirname, 'fc-rules.json');
 
-const OUTPUT_COL = 1;
-const OUTPUT_ROW = 2;  // First data row (row 1 is header)
-const COL = {
-  IMAGE:         1,  // A
-  BEATMAP:       2,  // B
-  SR:            3,  // C
-  LENGTH:        4,  // D
-  BPM:           5,  // E
-  CS:            6,  // F
-  AR:            7,  // G
-  OD:            8,  // H
-  HP:            9,  // I
-  CREATOR:      10,  // J
-  BEATMAP_ID:   11,  // K
-  BEATMAPSET_ID:12,  // L
-  RANKED_DATE:  13,  // M
-  DAYS_RANKED:  14,  // N
-  PLAYER:       15,  // O
-  SCORE_DATE:   16,  // P
-  RANK:         17,  // Q
-  MODS:         18,  // R
-  COMBO:        19,  // S
-  MAX_COMBO:    20,  // T
-  PCT_FC:       21,  // U
-};
-const NUM_COLS = Object.keys(COL).length;
+const VERIFY_CONCURRENCY = parseInt(process.env.VERIFY_CONCURRENCY) || 1;  // verifier processes run in parallel
+const FC_VERIFIER = process.env.FC_VERIFIER || 'danser';  // 'danser' | 'builtin' (no binary or display needed)
 
-const VALID_MODS = { 0:'NM',1:'NF',2:'EZ',4:'TD',8:'HD',16:'HR',32:'SD',64:'DT',256:'HT',512:'NC',1024:'FL',4096:'SO',16384:'PF' };
-const INVALID_MODS = 2 | 4 | 256 | 4096; // EZ | TD | HT | SO
-const RANK_VALUE_MAP = new Map([['D',1],['C',2],['B',3],['A',4],['S',5],['SH',5],['X',6],['XH',6]]);
+const DAEMON_ADD_NEW_HOUR = parseInt(process.env.DAEMON_ADD_NEW_HOUR) || 0;                 // UTC hour of the daily add-new run
+const DAEMON_REFRESH_PERIOD_DAYS = parseFloat(process.env.DAEMON_REFRESH_PERIOD_DAYS) || 7;  // every map is refreshed within this period
+const DAEMON_WINDOW_MINUTES = parseFloat(process.env.DAEMON_WINDOW_MINUTES) || 60;          // one refresh window per interval
 
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+const WEBHOOK_DIGEST = ['1', 'true'].includes(process.env.WEBHOOK_DIGEST);  // one message per run instead of per event
+const WEBHOOK_FC_MIN_DAYS = parseInt(process.env.WEBHOOK_FC_MIN_DAYS) || 0;  // only announce FCs that took at least this long
 
-// ── Google Auth ───────────────────────────────────────────────────────────────
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || null;  // JSON lines file instead of the Audit sheet
+const EXPORT_DIR = path.join(__dirname, 'site');
+const SERVE_PORT = parseInt(process.env.SERVE_PORT) || 8080;
+const SERVE_HOST = process.env.SERVE_HOST || '127.0.0.1';
 
-let sheetsClient;
-const sheetIds = {};
+const OSU_API_BUDGET = parseInt(process.env.OSU_API_BUDGET) || null;           // most osu! API requests per run
+const OSU_API_TIMEOUT_MS = parseInt(process.env.OSU_API_TIMEOUT_MS) || 30000;  // per request, before it is retried
 
-async function authorize() {
-  if (!fs.existsSync(CREDENTIALS_PATH)) {
-    console.error(`Missing ${CREDENTIALS_PATH}. Download it from Google Cloud Console.`);
-    process.exit(1);
-  }
-  const creds = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-  const { client_secret, client_id, redirect_uris } = creds.installed;
-  const auth = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
+// ── CLI Entry Point ───────────────────────────────────────────────────────────
 
-  if (fs.existsSync(TOKEN_PATH)) {
-    auth.setCredentials(JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8')));
-    return auth;
-  }
+const CLI_OPTIONS = {
+  incremental: { type: 'boolean' },
+  limit:       { type: 'string' },
+  reverify:    { type: 'boolean' },
+  concurrency: { type: 'string' },
+  'dry-run':   { type: 'boolean' },
+  plan:        { type: 'string' },
+  resume:      { type: 'boolean' },
+  mode:        { type: 'string' },
+  preset:      { type: 'string' },
+  category:    { type: 'string' },
+  port:        { type: 'string' },
+  sheet:       { type: 'boolean' },
+  record:      { type: 'string' },
+  replay:      { type: 'string' },
+  fix:         { type: 'boolean' },
+  budget:      { type: 'string' },
+  sort:        { type: 'string', multiple: true },
+  columns:     { type: 'string' },
+  format:      { type: 'string' },
+  history:     { type: 'boolean' },
+  offline:     { type: 'boolean' },
+};
 
-  const authUrl = auth.generateAuthUrl({ access_type: 'offline', scope: ['https://www.googleapis.com/auth/spreadsheets'] });
+// Commands that work on the mode's Data/History sheets, which are created on first use
+const SHEET_COMMANDS = new Set(['refresh', 'add-new', 'move-fcs', 'move-to-history', 'sort', 'backfill', 'daemon', 'stats', 'check']);
+// Commands after which a running `serve` reloads its snapshot
+const DATA_COMMANDS = new Set(['refresh', 'add-new', 'move-fcs', 'move-to-history', 'sort', 'backfill']);
+
+function printUsage() {
+  console.log('Usage: node no-fc-tracker.js <command> [args]');
+  console.log('Commands:');
+  console.log('  refresh [startRow] [endRow]  Re-fetch beatmaps and move FCs to History');
+  console.log('    --incremental              Reuse cached metadata, skip maps with scores fetched in the last day');
+  console.log('    --limit <n>                Only refresh the n maps with the stalest scores');
+  console.log('    --resume                   Continue an interrupted refresh from its checkpoint');
+  console.log('  add-new                      Fetch newly ranked beatmaps from the past day');
+  console.log('  move-fcs                     Check for FCs and move/delete them');
+  console.log('  move-to-history <row>        Move a specific row to History');
+  console.log('  sort                         Sort Data sheet by star rating');
+  console.log('  backfill <since> <until>     Add ranked maps in date range (YYYY-MM-DD)');
+  console.log('    --resume                   Continue an interrupted backfill from its last page');
+  console.log('  serve                        Serve Data and History as a read-only JSON API');
+  console.log('    --port <n>                 Port to listen on (default: SERVE_PORT or 8080)');
+  console.log('  export [dir]                 Write a static site with data.json and history.json (default: site/)');
+  console.log('  mirror [path]                Copy Data and History from Google Sheets to a local store file');
+  console.log('  daemon                       Run add-new daily and refresh Data in rotating windows until stopped');
+  console.log('  stats                        Player leaderboard and median days to FC by player and star rating');
+  console.log('    --sheet                    Also write the tables to the Stats sheet');
+  console.log('  check                        Report duplicate, misplaced, error and blank rows and bad cells in Data and History');
+  console.log('    --fix                      Repair what can be fixed without the API and reapply number formats');
+  console.log('  query [filter...]            List Data maps matching every filter, e.g. "sr>=6" "length<=3:00" "mods~HD"');
+  console.log('    --sort <keys>              Sort by fields, "-" for descending, e.g. --sort -pct,sr (repeatable)');
+  console.log('    --limit <n>                Only show the first n maps');
+  console.log('    --columns <fields>         Fields to show in table and CSV output, e.g. map,sr,mapper');
+  console.log('    --format <fmt>             table (default), csv or json');
+  console.log('    --history                  Query History instead of Data');
+  console.log('    --offline                  Use the snapshot saved by the last query instead of the store');
+  console.log('  rules                        Print the active FC rules');
+  console.log('  notify-test                  Send a sample of every notification to the configured webhooks');
+  console.log('Options:');
+  console.log('  --mode <mode>                Ruleset to track: osu (default), taiko, catch or mania');
+  console.log('  --category <name>            Track a mod category in its own sheets: dt, hr, fl, hddthr or any mod combination');
+  console.log('  --preset <name>              FC rules preset from fc-rules.json (default: its "preset", or "default")');
+  console.log('  --budget <n>                 Stop after n osu! API requests (default: OSU_API_BUDGET, or no limit)');
+  console.log('  --reverify                   Re-run replay verification even for scores with a recorded verdict');
+  console.log('  --concurrency <n>            Run up to n replay verifications in parallel (default: VERIFY_CONCURRENCY or 1)');
+  console.log('  --dry-run                    Run the full pipeline but only print the changes it would make');
+  console.log('  --plan <file>                Like --dry-run, and also write the plan to <file> as JSON');
+  console.log('  --record <dir>               Save every osu! API response and store call to fixture files in <dir>');
+  console.log('  --replay <dir>               Serve a recording back instead of using the network, Sheets or the store file');
+}
+
+// First Sheets run without token.json: the user opens the URL and pastes back
+// the code Google shows. Only offered on a terminal, so the daemon and cron jobs
+// fail with a ConfigError instead of waiting on stdin.
+async function promptForGoogleCode(authUrl) {
   console.log('Authorize this app by visiting:\n');
   console.log(authUrl);
   console.log();
   const rl = createInterface({ input: process.stdin, output: process.stdout });
-  const code = await rl.question('Paste the code from that page here: ');
-  rl.close();
-  const { tokens } = await auth.getToken(code.trim());
-  auth.setCredentials(tokens);
-  fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens));
-  console.log('Token saved to', TOKEN_PATH);
-  return auth;
-}
-
-async function initSheets() {
-  const auth = await authorize();
-  sheetsClient = google.sheets({ version: 'v4', auth });
-  const meta = await sheetsClient.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
-  for (const s of meta.data.sheets) {
-    sheetIds[s.properties.title] = s.properties.sheetId;
+  try {
+    return await rl.question('Paste the code from that page here: ');
+  } finally {
+    rl.close();
   }
 }
 
-// ── Sheet Helpers ─────────────────────────────────────────────────────────────
-
-const sheetsReadTimes = [];
-const sheetsWriteTimes = [];
-
-async function waitForSheetsSlot(kind) {
-  const arr = kind === 'read' ? sheetsReadTimes : sheetsWriteTimes;
-  while (true) {
-    const now = Date.now();
-    while (arr.length > 0 && now - arr[0] >= 60000) arr.shift();
-    if (arr.length < SHEETS_REQUESTS_PER_MIN) {
-      arr.push(now);
-      return;
-    }
-    const waitMs = 60000 - (now - arr[0]) + 100;
-    await new Promise(r => setTimeout(r, waitMs));
-  }
-}
+let tracker = null;
+let apiServer = null;
 
-async function withSheetsRetry(kind, fn, attempt = 1) {
-  await waitForSheetsSlot(kind);
+async function main() {
+  let args, flags;
   try {
-    return await fn();
+    ({ positionals: args, values: flags } = parseArgs({ args: process.argv.slice(2), options: CLI_OPTIONS, allowPositionals: true }));
   } catch (err) {
-    const code = err?.code || err?.response?.status;
-    if (code === 429 && attempt <= SHEETS_MAX_RETRIES) {
-      const waitMs = Math.min(60000, SHEETS_RETRY_BASE_MS * 2 ** (attempt - 1));
-      console.log(`Sheets API 429 (${kind}), retrying in ${waitMs / 1000}s... (attempt ${attempt})`);
-      await new Promise(r => setTimeout(r, waitMs));
-      return withSheetsRetry(kind, fn, attempt + 1);
-    }
-    throw err;
-  }
-}
-
-function colLetter(n) {
-  let s = '';
-  while (n > 0) {
-    s = String.fromCharCode(64 + ((n - 1) % 26) + 1) + s;
-    n = Math.floor((n - 1) / 26);
-  }
-  return s;
-}
-
-function a1(sheet, startRow, startCol, numRows = 1, numCols = 1) {
-  return `${sheet}!${colLetter(startCol)}${startRow}:${colLetter(startCol + numCols - 1)}${startRow + numRows - 1}`;
-}
-
-async function sheetGet(sheet, startRow, startCol, numRows, numCols, renderOption = 'UNFORMATTED_VALUE') {
-  const res = await withSheetsRetry('read', () => sheetsClient.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range: a1(sheet, startRow, startCol, numRows, numCols),
-    valueRenderOption: renderOption,
-  }));
-  return res.data.values || [];
-}
-
-async function sheetSet(sheet, startRow, startCol, values) {
-  await withSheetsRetry('write', () => sheetsClient.spreadsheets.values.update({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${sheet}!${colLetter(startCol)}${startRow}`,
-    valueInputOption: 'USER_ENTERED',
-    requestBody: { values },
-  }));
-}
-
-async function sheetBatchSet(ranges) {
-  // ranges: [{ sheet, startRow, startCol, values }]
-  const data = ranges.map(r => ({
-    range: `${r.sheet}!${colLetter(r.startCol)}${r.startRow}`,
-    values: r.values,
-  }));
-  for (let i = 0; i < data.length; i += SHEETS_BATCH_CHUNK) {
-    await withSheetsRetry('write', () => sheetsClient.spreadsheets.values.batchUpdate({
-      spreadsheetId: SPREADSHEET_ID,
-      requestBody: { valueInputOption: 'USER_ENTERED', data: data.slice(i, i + SHEETS_BATCH_CHUNK) },
-    }));
+    throw new UsageError(err.message);
   }
-}
-
-async function sheetLastRow(sheet) {
-  const colMap = { Data: colLetter(COL.BEATMAP_ID), History: colLetter(COL.BEATMAP_ID), About: 'A' };
-  const col = colMap[sheet] || 'A';
-  const res = await withSheetsRetry('read', () => sheetsClient.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${sheet}!${col}:${col}`,
-    valueRenderOption: 'UNFORMATTED_VALUE',
-  }));
-  return (res.data.values || []).length;
-}
+  const cmd = args[0];
+  const dryRun = !!(flags['dry-run'] || flags.plan);
+  const storeKind = cmd === 'mirror' ? 'sheets' : TRACKER_STORE;
 
-async function sheetDeleteRow(sheet, rowNumber) {
-  await withSheetsRetry('write', () => sheetsClient.spreadsheets.batchUpdate({
+  tracker = createTracker({
+    apiKey: OSU_API_KEY,
+    store: storeKind,
     spreadsheetId: SPREADSHEET_ID,
-    requestBody: {
-      requests: [{
-        deleteDimension: {
-          range: { sheetId: sheetIds[sheet], dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber },
-        },
-      }],
-    },
-  }));
-}
-
-async function sheetSort(sheet, startRow, numCols, sortSpecs) {
-  const lastRow = await sheetLastRow(sheet);
-  if (lastRow < startRow) return;
-  await withSheetsRetry('write', () => sheetsClient.spreadsheets.batchUpdate({
-    spreadsheetId: SPREADSHEET_ID,
-    requestBody: {
-      requests: [{
-        sortRange: {
-          range: {
-            sheetId: sheetIds[sheet],
-            startRowIndex: startRow - 1,
-            endRowIndex: lastRow,
-            startColumnIndex: 0,
-            endColumnIndex: numCols,
-          },
-          sortSpecs: sortSpecs.map(s => ({
-            dimensionIndex: s.col - 1,
-            sortOrder: s.asc ? 'ASCENDING' : 'DESCENDING',
-          })),
-        },
-      }],
-    },
-  }));
-}
-
-async function ensureSheetRows(sheet, requiredRows) {
-  const meta = await withSheetsRetry('read', () => sheetsClient.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID }));
-  const sheetMeta = meta.data.sheets.find(s => s.properties.title === sheet);
-  const currentRows = sheetMeta.properties.gridProperties.rowCount;
-  if (currentRows < requiredRows) {
-    await withSheetsRetry('write', () => sheetsClient.spreadsheets.batchUpdate({
-      spreadsheetId: SPREADSHEET_ID,
-      requestBody: {
-        requests: [{
-          appendDimension: {
-            sheetId: sheetIds[sheet],
-            dimension: 'ROWS',
-            length: requiredRows - currentRows + 100,
-          },
-        }],
-      },
-    }));
-  }
-}
-
-async function applyBulkFormatting(rowNumbers) {
-  if (!rowNumbers.length) return;
-  const sheetId = sheetIds['Data'];
-
-  // col is 1-based
-  const numberFormats = [
-    { col: COL.SR,     pattern: '0.00' },
-    { col: COL.LENGTH, type: 'TEXT' },     // force text so "4:10" doesn't become a time
-    { col: COL.BPM,    clear: true },
-    { col: COL.CS,     clear: true },
-    { col: COL.AR,     clear: true },
-    { col: COL.OD,     clear: true },
-    { col: COL.HP,     clear: true },
-    { col: COL.PCT_FC, pattern: '0.00' },
-  ];
-
-  const requests = [];
-  for (const row of rowNumbers) {
-    const ri = row - 1; // 0-based
-    requests.push({
-      updateDimensionProperties: {
-        range: { sheetId, dimension: 'ROWS', startIndex: ri, endIndex: ri + 1 },
-        properties: { pixelSize: 21 },
-        fields: 'pixelSize',
-      },
-    });
-    for (const fmt of numberFormats) {
-      const ci = fmt.col - 1; // 0-based
-      requests.push({
-        repeatCell: {
-          range: { sheetId, startRowIndex: ri, endRowIndex: ri + 1, startColumnIndex: ci, endColumnIndex: ci + 1 },
-          cell: fmt.clear ? {} : {
-            userEnteredFormat: {
-              numberFormat: fmt.type ? { type: fmt.type } : { type: 'NUMBER', pattern: fmt.pattern },
-            },
-          },
-          fields: 'userEnteredFormat.numberFormat',
-        },
-      });
-    }
-  }
-
-  for (let i = 0; i < requests.length; i += SHEETS_FORMAT_CHUNK) {
-    await withSheetsRetry('write', () => sheetsClient.spreadsheets.batchUpdate({
-      spreadsheetId: SPREADSHEET_ID,
-      requestBody: { requests: requests.slice(i, i + SHEETS_FORMAT_CHUNK) },
-    }));
-  }
-}
-
-// ── Danser FC Verification ────────────────────────────────────────────────────
-
-const DANSER_DIR  = path.join(__dirname, 'danser');
-const SONGS_DIR   = path.join(DANSER_DIR, 'songs', 'maps');
-const REPLAYS_DIR = path.join(DANSER_DIR, 'replays');
-const replayRequestTimes = [];
-
-async function waitForReplaySlot() {
-  const now = Date.now();
-  while (replayRequestTimes.length > 0 && now - replayRequestTimes[0] >= 60000) replayRequestTimes.shift();
-  if (replayRequestTimes.length >= REPLAY_REQUESTS_PER_MIN) {
-    const waitMs = 60000 - (Date.now() - replayRequestTimes[0]) + 500;
-    console.log(`Replay rate limit hit, waiting ${Math.ceil(waitMs / 1000)}s...`);
-    await sleep(waitMs);
-    return waitForReplaySlot();
-  }
-}
-
-function writeOsrString(parts, str) {
-  if (!str) { parts.push(Buffer.from([0x00])); return; }
-  const strBuf = Buffer.from(str, 'utf8');
-  parts.push(Buffer.from([0x0b]));
-  let len = strBuf.length;
-  const lenBytes = [];
-  do {
-    let byte = len & 0x7f;
-    len >>>= 7;
-    if (len !== 0) byte |= 0x80;
-    lenBytes.push(byte);
-  } while (len !== 0);
-  parts.push(Buffer.from(lenBytes));
-  parts.push(strBuf);
-}
-
-function buildOsr(score, beatmapMd5, replayData) {
-  const parts = [];
-  const u1  = v => { const b = Buffer.allocUnsafe(1); b.writeUInt8(v);       parts.push(b); };
-  const u2  = v => { const b = Buffer.allocUnsafe(2); b.writeUInt16LE(v);    parts.push(b); };
-  const i4  = v => { const b = Buffer.allocUnsafe(4); b.writeInt32LE(v);     parts.push(b); };
-  const i8  = v => { const b = Buffer.allocUnsafe(8); b.writeBigInt64LE(v);  parts.push(b); };
-
-  u1(0); // game mode: osu!standard
-  i4(20241212); // game version
-  writeOsrString(parts, beatmapMd5);
-  writeOsrString(parts, score.username || '');
-  writeOsrString(parts, ''); // replay hash
-  u2(parseInt(score.count300));
-  u2(parseInt(score.count100));
-  u2(parseInt(score.count50));
-  u2(parseInt(score.countgeki));
-  u2(parseInt(score.countkatu));
-  u2(parseInt(score.countmiss));
-  i4(parseInt(score.score));
-  u2(parseInt(score.maxcombo));
-  u1(score.perfect === '1' ? 1 : 0);
-  i4(parseInt(score.enabled_mods));
-  writeOsrString(parts, ''); // life bar graph
-
-  // Windows FILETIME: 100-ns intervals since 1601-01-01
-  const ms = BigInt(new Date(score.date.replace(' ', 'T') + 'Z').getTime());
-  i8(ms * 10000n + 116444736000000000n);
-
-  i4(replayData.length);
-  parts.push(replayData);
-  i8(BigInt(parseInt(score.score_id) || 0));
-
-  return Buffer.concat(parts);
-}
+    sheetsAuthPrompt: process.stdin.isTTY ? promptForGoogleCode : null,
+    localStorePath: LOCAL_STORE_PATH,
+    mode: flags.mode,
+    category: flags.category,
+    preset: flags.preset || process.env.FC_RULES_PRESET,
+    fcRulesPath: FC_RULES_PATH,
+    verifier: FC_VERIFIER,
+    verifyConcurrency: parseInt(flags.concurrency) || VERIFY_CONCURRENCY,
+    reverify: !!flags.reverify,
+    dryRun,
+    command: args.join(' '),
+    webhooks: webhookTargetsFromEnv(),
+    webhookDigest: WEBHOOK_DIGEST,
+    webhookFCMinDays: WEBHOOK_FC_MIN_DAYS,
+    auditLogPath: AUDIT_LOG_PATH,
+    apiBudget: parseInt(flags.budget) || OSU_API_BUDGET,
+    apiTimeoutMs: OSU_API_TIMEOUT_MS,
+    record: flags.record ? path.resolve(flags.record) : null,
+    replay: flags.replay ? path.resolve(flags.replay) : null,
+    daemon: { addNewHour: DAEMON_ADD_NEW_HOUR, refreshPeriodDays: DAEMON_REFRESH_PERIOD_DAYS, windowMinutes: DAEMON_WINDOW_MINUTES },
+  });
 
-async function runDanser(beatmapID, replayPath) {
-  return new Promise((resolve) => {
-    const sPatch = JSON.stringify({
-      Recording: { FrameWidth: 16, FrameHeight: 16, FPS: 1, libx264: { Preset: 'ultrafast' } },
-      Playfield: { Background: { LoadStoryboards: false }, DrawCursors: false },
-      Cursor: { EnableTrailGlow: false, SmokeEnabled: false },
-      General: { DiscordPresenceOn: false },
-    });
-    const proc = spawn(
-      path.join(DANSER_DIR, 'danser-cli'),
-      ['-id', String(beatmapID), '-knockout2', JSON.stringify([replayPath]),
-       '-record', '-out', '/dev/null', '-quickstart', '-sPatch', sPatch],
-      { cwd: DANSER_DIR, env: { ...process.env, DISPLAY: process.env.DISPLAY || ':0' } }
-    );
-    let stdout = '';
-    const timeout = setTimeout(() => { proc.kill(); resolve({ error: 'danser timeout' }); }, DANSER_TIMEOUT_MS);
-    proc.stdout.on('data', d => stdout += d);
-    proc.on('close', () => {
-      clearTimeout(timeout);
-      const pattern = /\|\s*1\s*\|.*?\|\s*[\d,]+\s*\|\s*[\d.]+\s*\|\s*\w+\s*\|\s*[\d,]+\s*\|\s*[\d,]+\s*\|\s*[\d,]+\s*\|\s*[\d,]+\s*\|\s*([\d,]+)\s*\|\s*([\d,]+)\s*\|/;
-      for (const line of stdout.split('\n')) {
-        const m = pattern.exec(line);
-        if (m) {
-          const currentCombo = parseInt(m[1].replace(/,/g, ''));
-          const maxCombo     = parseInt(m[2].replace(/,/g, ''));
-          // COMBO = final combo, MAX COMBO = player's personal best during the play (not map max).
-          // If equal, combo never reset → FC. Missed slider ticks reduce both equally so they still match.
-          resolve({ is_fc: currentCombo === maxCombo, current_combo: currentCombo, max_combo: maxCombo });
-          return;
-        }
+  // The daemon first gets a chance to finish its current job
+  for (const sig of ['SIGINT', 'SIGTERM']) {
+    process.on(sig, () => {
+      if (apiServer) {
+        console.log(`\n${sig} received, stopping server.`);
+        process.exit(0);
       }
-      resolve({ error: 'could not parse danser output', stdout_tail: stdout.slice(-500) });
+      if (tracker.stopDaemon()) {
+        console.log(`\n${sig} received, stopping after the current job (send again to abort)...`);
+        return;
+      }
+      console.log(`\n${sig} received, stopping replay verification...`);
+      tracker.cancel();
+      process.exit(130);
     });
-  });
-}
-
-async function checkAmbiguousFC(beatmapID, userID, mods, score) {
-  await waitForReplaySlot();
-  replayRequestTimes.push(Date.now());
-  try {
-    fs.mkdirSync(SONGS_DIR, { recursive: true });
-
-    // 1. Beatmap
-    const beatmapPath = path.join(SONGS_DIR, `${beatmapID}.osu`);
-    if (!fs.existsSync(beatmapPath)) {
-      const res = await fetch(`https://osu.ppy.sh/osu/${beatmapID}`);
-      if (!res.ok) throw new Error(`beatmap download failed: HTTP ${res.status}`);
-      fs.writeFileSync(beatmapPath, Buffer.from(await res.arrayBuffer()));
-    }
-    const beatmapMd5 = crypto.createHash('md5').update(fs.readFileSync(beatmapPath)).digest('hex');
-
-    // 2. Replay — store in danser's own replays/{md5}/ directory
-    const replayDir  = path.join(REPLAYS_DIR, beatmapMd5);
-    const replayPath = path.join(replayDir, `${beatmapID}_${userID}_${mods}.osr`);
-    if (!fs.existsSync(replayPath)) {
-      fs.mkdirSync(replayDir, { recursive: true });
-      if (score.replay_available === '0') throw new Error('replay not available');
-      const res = await fetch(`https://osu.ppy.sh/api/get_replay?k=${OSU_API_KEY}&m=0&b=${beatmapID}&u=${userID}&mods=${mods}`);
-      if (!res.ok) throw new Error(`replay download failed: HTTP ${res.status}`);
-      const json = await res.json();
-      if (json.error) throw new Error(`replay API: ${json.error}`);
-      const replayData = Buffer.from(json.content, 'base64');
-      fs.writeFileSync(replayPath, buildOsr(score, beatmapMd5, replayData));
-    }
-
-    // 3. Run danser
-    return await runDanser(beatmapID, replayPath);
-  } catch (err) {
-    return { error: err.message };
   }
-}
-
-// ── osu! API ──────────────────────────────────────────────────────────────────
 
-async function requestContent(url) {
-  try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${await res.text()}`);
-    return await res.text();
-  } catch (err) {
-    console.error(`API request failed for ${url}: ${err.message}`);
-    throw err;
-  } finally {
-    await sleep(RATE_LIMIT_DELAY);
-  }
-}
-
-async function fetchFromAPI(beatmapID, endpoint) {
-  const urls = {
-    beatmaps: `https://osu.ppy.sh/api/get_beatmaps?k=${OSU_API_KEY}&b=${beatmapID}`,
-    scores:   `https://osu.ppy.sh/api/get_scores?k=${OSU_API_KEY}&b=${beatmapID}`,
-  };
-  return requestContent(urls[endpoint]);
-}
+  // A replay needs neither: nothing leaves the machine
+  if (storeKind === 'sheets' && !SPREADSHEET_ID && !flags.replay && !(cmd === 'query' && flags.offline)) throw new ConfigError('Missing SPREADSHEET_ID in .env');
+  if (!OSU_API_KEY && !['mirror', 'check', 'query'].includes(cmd) && !flags.replay) throw new ConfigError('Missing OSU_API_KEY in .env');
 
-// ── Pure Logic ────────────────────────────────────────────────────────────────
+  // query opens the store itself, falling back to its snapshot when it can't
+  if (cmd !== 'query') await tracker.open();
+  if (SHEET_COMMANDS.has(cmd)) await tracker.ensureSheets();
 
-function sanitize(str) { return String(str).replace(/"/g, '""'); }
-
-function formatDate(input) {
-  if (!input) return '';
-  try {
-    const d = typeof input === 'string' ? new Date(input.replace(' ', 'T') + 'Z') : new Date(input);
-    if (isNaN(d.getTime())) return '';
-    return `${d.getUTCMonth() + 1}/${d.getUTCDate()}/${d.getUTCFullYear()}`;
-  } catch { return ''; }
-}
-
-function formatLength(totalSeconds) {
-  const m = Math.floor(totalSeconds / 60);
-  const s = totalSeconds % 60;
-  return `${m}:${String(s).padStart(2, '0')}`;
-}
-
-function calculateDaysRanked(approvedDateString) {
-  const d = new Date(approvedDateString.replace(' ', 'T') + 'Z');
-  return Math.ceil((Date.now() - d.getTime()) / 86400000);
-}
-
-function calculateDaysToFC(rankedDateString, scoreDateString) {
-  const [rm, rd, ry] = rankedDateString.split('/').map(Number);
-  const [sm, sd, sy] = scoreDateString.split('/').map(Number);
-  return Math.ceil((Date.UTC(sy, sm - 1, sd) - Date.UTC(ry, rm - 1, rd)) / 86400000);
-}
-
-function getModString(modsEnum) {
-  if (modsEnum === 0) return 'NM';
-  if (modsEnum & 512) modsEnum &= ~64;    // NC implies DT — drop DT bit
-  if (modsEnum & 16384) modsEnum &= ~32;  // PF implies SD — drop SD bit
-  let s = '';
-  for (const flag of Object.keys(VALID_MODS).map(Number).filter(f => f > 0).sort((a, b) => a - b)) {
-    if (modsEnum & flag) s += VALID_MODS[flag];
-  }
-  return s;
-}
-
-function getModEnum(modString) {
-  if (!modString || modString === 'NM') return 0;
-  const modMap = Object.fromEntries(Object.entries(VALID_MODS).map(([k, v]) => [v, parseInt(k)]));
-  let e = 0;
-  for (let i = 0; i < modString.length; i += 2) {
-    const mod = modString.substr(i, 2);
-    if (modMap[mod]) e |= modMap[mod];
-  }
-  return e;
-}
-
-function getRankValue(rank) { return RANK_VALUE_MAP.get(rank) || 0; }
-function isRankValid(score) { return score && ['S', 'SH', 'X', 'XH'].includes(score.rank); }
-function areModsValid(modsEnum) { return (modsEnum & INVALID_MODS) === 0; }
-
-function isFCByCombo(score, maxCombo) {
-  if (!score || !isRankValid(score)) return false;
-  const mods = parseInt(score.enabled_mods);
-  if (!areModsValid(mods)) return false;
-  if ((mods & 32) || (mods & 16384)) return true; // SD or PF
-  return parseInt(score.maxcombo) >= maxCombo - 1;
-}
-
-function isAmbiguousFC(score, maxCombo) {
-  if (!score || !isRankValid(score)) return false;
-  const mods = parseInt(score.enabled_mods);
-  if (!areModsValid(mods) || (mods & 32) || (mods & 16384)) return false;
-  return parseInt(score.maxcombo) + parseInt(score.count100) + parseInt(score.count50) >= maxCombo;
-}
-
-// ── Row Building ──────────────────────────────────────────────────────────────
-
-async function findBestScore(scores, maxCombo, beatmapID = null) {
-  let best = { userID: 0, player: '', modString: '', currentMaxCombo: 0, rank: '', scoreDate: '', percentFC: 0, isFC: false };
-  const ambiguous = [];
-  const limit = Math.min(scores.length, 50);
-
-  for (let i = 0; i < limit; i++) {
-    const score = scores[i];
-    const mods = parseInt(score.enabled_mods);
-    if (!areModsValid(mods)) continue;
-
-    if (isFCByCombo(score, maxCombo)) {
-      return {
-        userID: parseInt(score.user_id),
-        player: score.username,
-        modString: getModString(mods),
-        currentMaxCombo: parseInt(score.maxcombo),
-        rank: score.rank,
-        scoreDate: score.date ? formatDate(score.date) : '',
-        percentFC: (parseInt(score.maxcombo) / maxCombo) * 100,
-        isFC: true,
-      };
-    }
-
-    const combo = parseInt(score.maxcombo);
-    if (combo > best.currentMaxCombo || (combo === best.currentMaxCombo && getRankValue(score.rank) > getRankValue(best.rank))) {
-      best = {
-        userID: parseInt(score.user_id),
-        player: score.username,
-        modString: getModString(mods),
-        currentMaxCombo: combo,
-        rank: score.rank,
-        scoreDate: score.date ? formatDate(score.date) : '',
-        percentFC: (combo / maxCombo) * 100,
-        isFC: false,
-      };
+  switch (cmd) {
+    case 'refresh':
+      await tracker.refresh(parseInt(args[1]) || null, parseInt(args[2]) || null, {
+        incremental: !!flags.incremental,
+        limit: parseInt(flags.limit) || null,
+        resume: !!flags.resume,
+      });
+      break;
+    case 'add-new':   await tracker.addNew(); break;
+    case 'move-fcs':  await tracker.moveFCs(); break;
+    case 'move-to-history': {
+      const row = parseInt(args[1]);
+      if (!row || isNaN(row)) throw new UsageError('Usage: move-to-history <row>');
+      await tracker.moveToHistory(row);
+      break;
     }
-
-    if (beatmapID && isAmbiguousFC(score, maxCombo)) ambiguous.push(score);
-  }
-
-  // Verify all ambiguous scores via danser, highest combo first
-  if (beatmapID && ambiguous.length > 0) {
-    ambiguous.sort((a, b) => parseInt(b.maxcombo) - parseInt(a.maxcombo));
-    for (const score of ambiguous) {
-      const mods = parseInt(score.enabled_mods);
-      const result = await checkAmbiguousFC(beatmapID, parseInt(score.user_id), mods, score);
-      if (result.is_fc) {
-        console.log(`Verified FC: beatmap ${beatmapID} (${score.username})`);
-        const combo = parseInt(score.maxcombo);
-        return {
-          userID: parseInt(score.user_id),
-          player: score.username,
-          modString: getModString(mods),
-          currentMaxCombo: combo,
-          rank: score.rank,
-          scoreDate: score.date ? formatDate(score.date) : '',
-          percentFC: (combo / maxCombo) * 100,
-          isFC: true,
-        };
-      }
-      if (result.error) console.error(`Replay check failed for ${beatmapID}/${score.user_id}: ${result.error}${result.stdout_tail ? '\n' + result.stdout_tail : ''}`);
-      else console.log(`Not FC: beatmap ${beatmapID} (${score.username})`);
+    case 'sort':      await tracker.sort(); console.log('Sorted.'); break;
+    case 'backfill':  await tracker.backfill(args[1], args[2], { resume: !!flags.resume }); break;
+    case 'serve':
+      apiServer = await tracker.serve({ port: parseInt(flags.port) || SERVE_PORT, host: SERVE_HOST });
+      process.on('SIGHUP', () => apiServer.reload('SIGHUP'));
+      break;
+    case 'export':    await tracker.exportSite(args[1] ? path.resolve(args[1]) : EXPORT_DIR); break;
+    case 'mirror':    await tracker.mirror(args[1] ? path.resolve(args[1]) : LOCAL_STORE_PATH); break;
+    case 'daemon':    await tracker.runDaemon(); break;
+    case 'stats':     await tracker.stats({ writeSheet: !!flags.sheet }); break;
+    case 'check': {
+      const { problems } = await tracker.check({ fix: !!flags.fix });
+      // Non-zero while problems remain, so a scheduled check can alert
+      if (problems.some(p => !flags.fix || !p.fix)) process.exitCode = 1;
+      break;
     }
+    case 'query':
+      await tracker.query({
+        table: flags.history ? 'History' : 'Data',
+        filters: args.slice(1),
+        sort: (flags.sort || []).flatMap(keys => keys.split(',')).filter(Boolean),
+        limit: parseInt(flags.limit) || null,
+        columns: flags.columns ? flags.columns.split(',').filter(Boolean) : null,
+        format: flags.format || 'table',
+        offline: !!flags.offline,
+      });
+      break;
+    case 'notify-test': await tracker.notifyTest(); break;
+    case 'rules':     for (const line of tracker.describeRules()) console.log(line); break;
+    default:
+      printUsage();
+      return;
   }
 
-  return best;
-}
-
-function createHyperlink(url, text) { return `=HYPERLINK("${url}","${text}")`; }
-
-function createBeatmapNameHyperlink(b) {
-  const url = `https://osu.ppy.sh/beatmapsets/${b.beatmapset_id}#osu/${b.beatmap_id}`;
-  const text = `${sanitize(b.artist)}\n${sanitize(b.title)}\n[${sanitize(b.version)}]`;
-  return createHyperlink(url, text);
-}
-
-function createPlayerHyperlink(userID, username) {
-  if (!userID) return '';
-  return createHyperlink(`https://osu.ppy.sh/users/${userID}/osu`, username);
-}
-
-async function createBeatmapRow(beatmapData, scores, best = null) {
-  const maxCombo = parseInt(beatmapData.max_combo);
-  if (!best) best = await findBestScore(scores, maxCombo, beatmapData.beatmap_id);
-  const showPctFC = best.isFC ? 100 : best.percentFC;
-  return [
-    `=IMAGE("https://assets.ppy.sh/beatmaps/${beatmapData.beatmapset_id}/covers/cover.jpg", 2)`,
-    createBeatmapNameHyperlink(beatmapData),
-    parseFloat(beatmapData.difficultyrating),
-    formatLength(parseInt(beatmapData.total_length)),
-    parseFloat(beatmapData.bpm),
-    parseFloat(beatmapData.diff_size),
-    parseFloat(beatmapData.diff_approach),
-    parseFloat(beatmapData.diff_overall),
-    parseFloat(beatmapData.diff_drain),
-    createPlayerHyperlink(beatmapData.creator_id, beatmapData.creator),
-    beatmapData.beatmap_id,
-    beatmapData.beatmapset_id,
-    formatDate(beatmapData.approved_date),
-    calculateDaysRanked(beatmapData.approved_date),
-    createPlayerHyperlink(best.userID, best.player),
-    best.scoreDate,
-    best.rank,
-    best.modString,
-    best.currentMaxCombo,
-    maxCombo,
-    showPctFC,
-  ];
-}
-
-function createErrorRow(message) {
-  return [message, ...Array(NUM_COLS - 1).fill('')];
-}
-
-// ── Sheet Operations ──────────────────────────────────────────────────────────
-
-async function getExistingBeatmapIds() {
-  const lastRow = await sheetLastRow('Data');
-  if (lastRow < OUTPUT_ROW) return [];
-  const rows = await sheetGet('Data', OUTPUT_ROW, COL.BEATMAP_ID, lastRow - OUTPUT_ROW + 1, 1, 'UNFORMATTED_VALUE');
-  return rows
-    .map(row => String(row?.[0] || '').trim())
-    .filter(id => id !== '');
-}
-
-async function setBulkRowData(rowNumbers, allRowData) {
-  if (!rowNumbers.length) return;
-  await ensureSheetRows('Data', Math.max(...rowNumbers));
-  await sheetBatchSet(rowNumbers.map((row, i) => ({
-    sheet: 'Data', startRow: row, startCol: OUTPUT_COL, values: [allRowData[i]],
-  })));
-  await applyBulkFormatting(rowNumbers);
-}
-
-async function sortBeatmapData() {
-  await sheetSort('Data', OUTPUT_ROW, NUM_COLS, [{ col: COL.SR, asc: true }]);
-}
-
-async function sortHistory() {
-  await sheetSort('History', 2, NUM_COLS - 1, [
-    { col: COL.SCORE_DATE, asc: true },
-    { col: COL.SR,         asc: true },
-  ]);
-}
-
-async function updateLastUpdatedTimestamp() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const stamp = `${yesterday.getMonth() + 1}/${yesterday.getDate()}/${yesterday.getFullYear()}`;
-  try {
-    await withSheetsRetry('write', () => sheetsClient.spreadsheets.values.update({
-      spreadsheetId: SPREADSHEET_ID,
-      range: 'About!B18:G19',
-      valueInputOption: 'USER_ENTERED',
-      requestBody: { values: [[`Last Updated: ${stamp}`]] },
-    }));
-  } catch (err) {
-    console.warn('Could not update timestamp on About sheet:', err.errors?.[0]?.message || err.message);
-  }
-}
-
-// ── Main Functions ────────────────────────────────────────────────────────────
-
-async function addBeatmapsToSheet(newBeatmaps) {
-  console.log(`Checking ${newBeatmaps.length} new beatmap(s) for FCs...`);
-  const lastRow = await sheetLastRow('Data');
-  const nextRow = Math.max(lastRow + 1, OUTPUT_ROW);
-  const addedRows = [];
-  const added = [];
-  const skipped = [];
-
-  for (const beatmap of newBeatmaps) {
-    let scores = [];
-    try {
-      scores = JSON.parse(await fetchFromAPI(beatmap.beatmap_id, 'scores')) || [];
-    } catch { console.error('Could not fetch scores for', beatmap.beatmap_id); }
-
-    const best = await findBestScore(scores, parseInt(beatmap.max_combo), beatmap.beatmap_id);
-    if (best.isFC) {
-      skipped.push(beatmap);
-    } else {
-      const row = nextRow + addedRows.length;
-      const rowData = await createBeatmapRow(beatmap, scores, best);
-      addedRows.push({ row, rowData });
-      added.push(beatmap);
+  const plan = tracker.plan;
+  if (!plan && (DATA_COMMANDS.has(cmd) || (cmd === 'check' && flags.fix))) tracker.markDataUpdated(cmd);
+  if (plan) {
+    plan.print();
+    if (flags.plan) {
+      fs.writeFileSync(flags.plan, JSON.stringify(plan.toJSON(), null, 2));
+      console.log(`\nPlan written to ${flags.plan}`);
     }
   }
-
-  if (!added.length) { console.log('All beatmaps already have FCs.'); return; }
-
-  await setBulkRowData(addedRows.map(r => r.row), addedRows.map(r => r.rowData));
-  await sortBeatmapData();
-  await updateLastUpdatedTimestamp();
-
-  console.log(`\nAdded ${added.length} beatmap(s). Skipped ${skipped.length} with FCs.`);
-  for (const b of added)   console.log(`  + https://osu.ppy.sh/beatmapsets/${b.beatmapset_id}#osu/${b.beatmap_id}`);
-  for (const b of skipped) console.log(`  - https://osu.ppy.sh/beatmapsets/${b.beatmapset_id}#osu/${b.beatmap_id}`);
 }
 
-async function backfill(sinceDate, untilDate) {
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(sinceDate) || !/^\d{4}-\d{2}-\d{2}$/.test(untilDate)) {
-    console.error('Dates must be in YYYY-MM-DD format.');
-    return;
-  }
-  const label = `${sinceDate} – ${untilDate}`;
-  const url = `https://osu.ppy.sh/api/get_beatmaps?k=${OSU_API_KEY}&since=${sinceDate}&m=0&approved=1`;
-
-  let beatmaps;
-  try {
-    beatmaps = JSON.parse(await requestContent(url));
-  } catch (err) {
-    console.error('Error fetching beatmaps:', err.message);
-    return;
-  }
-  if (!beatmaps?.length) { console.log('No beatmaps returned.'); return; }
-
-  if (beatmaps.length >= 500) {
-    console.warn('Warning: API returned 500+ results — some maps may be truncated. Consider splitting the date range.');
-  }
-
-  const ranked = beatmaps.filter(b => {
-    if (b.approved !== '1') return false;
-    const approvedDate = (b.approved_date || '').split(' ')[0];
-    return approvedDate >= sinceDate && approvedDate <= untilDate;
+// Configuration and usage errors print their message; anything else is a
+// failed run, printed in full and sent to the webhooks
+main()
+  .then(() => tracker?.close())
+  .catch(async err => {
+    if (err instanceof TrackerError) console.error(err.message);
+    else console.error(err);
+    if (!(err instanceof ConfigError || err instanceof UsageError)) tracker?.notifyFailure(err);
+    await tracker?.close();
+    process.exit(1);
   });
-  if (!ranked.length) { console.log(`No ranked beatmaps found in ${label} range.`); return; }
-
-  const existingIds = await getExistingBeatmapIds();
-  const newBeatmaps = ranked.filter(b => !existingIds.includes(b.beatmap_id));
-  if (!newBeatmaps.length) { console.log(`All ${label} beatmaps already in spreadsheet.`); return; }
-
-  await addBeatmapsToSheet(newBeatmaps);
-}
-
-async function refreshBeatmaps(fromRow, toRow) {
-  const lastRow = await sheetLastRow('Data');
-  const start = fromRow ? Math.max(fromRow, OUTPUT_ROW) : OUTPUT_ROW;
-  const end   = toRow   ? Math.min(toRow, lastRow)      : lastRow;
-  if (start > end) { console.log('No beatmaps to refresh.'); return; }
-
-  const count = end - start + 1;
-  const idRows = await sheetGet('Data', start, COL.BEATMAP_ID, count, 1, 'UNFORMATTED_VALUE');
-  const jobs = idRows
-    .map((row, i) => {
-      const id = String(row?.[0] || '').trim();
-      return id ? { row: start + i, id } : null;
-    })
-    .filter(Boolean);
-
-  const rangeLabel = (fromRow || toRow) ? ` (rows ${start}–${end})` : '';
-  console.log(`Processing ${jobs.length} beatmaps${rangeLabel} (this will take ~${Math.round(jobs.length * 2 / 60)} minutes)...`);
-
-  const allRowData = [];
-  const rowNumbers = [];
-  const beatmapBase = `https://osu.ppy.sh/api/get_beatmaps?k=${OSU_API_KEY}&b=`;
-  const scoresBase  = `https://osu.ppy.sh/api/get_scores?k=${OSU_API_KEY}&b=`;
-
-  for (const job of jobs) {
-    let beatmapData;
-    try {
-      beatmapData = JSON.parse(await requestContent(beatmapBase + job.id))[0];
-    } catch (err) {
-      allRowData.push(createErrorRow('API Error: ' + err.message));
-      rowNumbers.push(job.row);
-      continue;
-    }
-    if (!beatmapData) {
-      allRowData.push(createErrorRow('Invalid beatmap ID'));
-      rowNumbers.push(job.row);
-      continue;
-    }
-
-    let scores = [];
-    try {
-      scores = JSON.parse(await requestContent(scoresBase + job.id)) || [];
-    } catch {
-      console.error('Could not fetch scores for beatmap', job.id);
-    }
-
-    allRowData.push(await createBeatmapRow(beatmapData, scores));
-    rowNumbers.push(job.row);
-  }
-
-  if (allRowData.length > 0) await setBulkRowData(rowNumbers, allRowData);
-
-  await moveFCsToHistory();
-  await updateLastUpdatedTimestamp();
-  console.log(`Done! Processed ${jobs.length} beatmaps.`);
-}
-
-async function addNewRankedBeatmaps() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const sinceDate = yesterday.toISOString().split('T')[0];
-  const url = `https://osu.ppy.sh/api/get_beatmaps?k=${OSU_API_KEY}&since=${sinceDate}&m=0&approved=1`;
-
-  let beatmaps;
-  try {
-    beatmaps = JSON.parse(await requestContent(url));
-  } catch (err) {
-    console.error('Error fetching new ranked beatmaps:', err.message);
-    return;
-  }
-  if (!beatmaps?.length) { console.log('No new ranked beatmaps found.'); return; }
-
-  const ranked = beatmaps.filter(b => b.approved === '1');
-  if (!ranked.length) { console.log('No ranked beatmaps (only qualified/other).'); return; }
-
-  const existingIds = await getExistingBeatmapIds();
-  const newBeatmaps = ranked.filter(b => !existingIds.includes(b.beatmap_id));
-  if (!newBeatmaps.length) { console.log('All new beatmaps already in spreadsheet.'); return; }
-
-  await addBeatmapsToSheet(newBeatmaps);
-}
-
-async function moveFCsToHistory() {
-  const lastRow = await sheetLastRow('Data');
-  const rowCount = lastRow - OUTPUT_ROW + 1;
-  if (rowCount <= 0) return;
-  const startRow = OUTPUT_ROW;
-  const allData = await sheetGet('Data', OUTPUT_ROW, OUTPUT_COL, rowCount, NUM_COLS, 'FORMATTED_VALUE');
-  const toMove = [];
-  const toDelete = [];
-
-  for (let i = 0; i < allData.length; i++) {
-    const row = allData[i] || [];
-    if (row.every(c => c === '' || c == null)) continue;
-
-    const rankedDate = row[COL.RANKED_DATE - 1];
-    const scoreDate  = row[COL.SCORE_DATE - 1];
-    const pctFC      = parseFloat(row[COL.PCT_FC - 1]);
-
-    if (pctFC !== 100) continue;
-
-    const entry = { row: startRow + i, beatmapsetID: row[COL.BEATMAPSET_ID - 1], beatmapID: row[COL.BEATMAP_ID - 1] };
-
-    const hasScoreDate = scoreDate && scoreDate !== '' && !isNaN(new Date(scoreDate).getTime());
-    const daysToFC = hasScoreDate ? calculateDaysToFC(rankedDate, scoreDate) : Infinity;
-
-    if (daysToFC >= 30) {
-      if (hasScoreDate) toMove.push(entry);
-    } else {
-      toDelete.push(entry);
-    }
-  }
-
-  // Process in reverse row order to avoid row-shift issues after deletions
-  const allToProcess = [
-    ...toMove.map(e => ({ ...e, action: 'move' })),
-    ...toDelete.map(e => ({ ...e, action: 'delete' })),
-  ].sort((a, b) => b.row - a.row);
-
-  let moved = 0, deleted = 0;
-  for (const item of allToProcess) {
-    if (item.action === 'move') {
-      await moveRowToHistory(item.row);
-      moved++;
-    } else {
-      await sheetDeleteRow('Data', item.row);
-      deleted++;
-    }
-  }
-
-  // Sort History once at the end rather than after every row move
-  if (moved > 0) await sortHistory();
-
-  if (moved || deleted) {
-    console.log(`Found ${moved + deleted} FC(s): moved ${moved} to History, deleted ${deleted} recent.`);
-  }
-}
-
-async function moveRowToHistory(rowNumber) {
-  const columnsToMove = NUM_COLS - 1; // A–T (exclude % FC col)
-
-  // Two reads: FORMULA for hyperlink formulas, FORMATTED_VALUE for dates/display text
-  const [formulaRows, formattedRows] = await Promise.all([
-    sheetGet('Data', rowNumber, OUTPUT_COL, 1, columnsToMove, 'FORMULA'),
-    sheetGet('Data', rowNumber, OUTPUT_COL, 1, columnsToMove, 'FORMATTED_VALUE'),
-  ]);
-  const formulaRow   = formulaRows[0]   || [];
-  const formattedRow = formattedRows[0] || [];
-
-  // Prefer formula strings (hyperlinks) over formatted values; fall back to formatted for plain cells
-  const dataToMove = formulaRow.map((val, i) =>
-    typeof val === 'string' && val.startsWith('=') ? val : (formattedRow[i] ?? '')
-  );
-
-  const rankedDate = dataToMove[COL.RANKED_DATE - 1];
-  const scoreDate  = dataToMove[COL.SCORE_DATE - 1];
-  dataToMove[COL.DAYS_RANKED - 1] = calculateDaysToFC(rankedDate, scoreDate); // col N → days to FC
-
-  const historyLastRow = await sheetLastRow('History');
-  const targetRow = historyLastRow + 1;
-  await ensureSheetRows('History', targetRow);
-  await sheetSet('History', targetRow, 1, [dataToMove]);
-
-  // Combine row height update and row delete into a single batchUpdate
-  await withSheetsRetry('write', () => sheetsClient.spreadsheets.batchUpdate({
-    spreadsheetId: SPREADSHEET_ID,
-    requestBody: {
-      requests: [
-        {
-          updateDimensionProperties: {
-            range: { sheetId: sheetIds['History'], dimension: 'ROWS', startIndex: historyLastRow, endIndex: historyLastRow + 1 },
-            properties: { pixelSize: 21 },
-            fields: 'pixelSize',
-          },
-        },
-        {
-          deleteDimension: {
-            range: { sheetId: sheetIds['Data'], dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber },
-          },
-        },
-      ],
-    },
-  }));
-}
-
-// ── CLI Entry Point ───────────────────────────────────────────────────────────
-
-async function main() {
-  const cmd = process.argv[2];
-
-  if (!SPREADSHEET_ID) { console.error('Missing SPREADSHEET_ID in .env'); process.exit(1); }
-  if (!OSU_API_KEY)    { console.error('Missing OSU_API_KEY in .env'); process.exit(1); }
-
-  await initSheets();
-
-  switch (cmd) {
-    case 'refresh':   await refreshBeatmaps(parseInt(process.argv[3]) || null, parseInt(process.argv[4]) || null); break;
-    case 'add-new':   await addNewRankedBeatmaps(); break;
-    case 'move-fcs':  await moveFCsToHistory(); break;
-    case 'move-to-history': {
-      const row = parseInt(process.argv[3]);
-      if (!row || isNaN(row)) { console.error('Usage: move-to-history <row>'); process.exit(1); }
-      await moveRowToHistory(row);
-      break;
-    }
-    case 'sort':      await sortBeatmapData(); console.log('Sorted.'); break;
-    case 'backfill':  await backfill(process.argv[3], process.argv[4]); break;
-    default:
-      console.log('Usage: node no-fc-tracker.js <command> [args]');
-      console.log('Commands:');
-      console.log('  refresh [startRow] [endRow]  Re-fetch beatmaps and move FCs to History');
-      console.log('  add-new                      Fetch newly ranked beatmaps from the past day');
-      console.log('  move-fcs                     Check for FCs and move/delete them');
-      console.log('  move-to-history <row>        Move a specific row to History');
-      console.log('  sort                         Sort Data sheet by star rating');
-      console.log('  backfill <since> <until>     Add ranked maps in date range (YYYY-MM-DD)');
-  }
-}
-
-main().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { calculateDifficulty, calculatePerformance } from '../lib/difficulty.js';
+import { getModEnum } from '../lib/mods.js';
+
+// Expected values are what osu!'s own calculator (the same revision, through
+// the osu-standard-stable port) gives for these maps. pp100 is a full combo
+// with four 100s and one 50.
+const EXPECTED = {
+  jumps: {
+    NM:   { stars: 5.073, ar: 9,     od: 8,    maxCombo: 74, pp: 144.8, pp100: 105.4 },
+    HR:   { stars: 5.404, ar: 10,    od: 10,   maxCombo: 74, pp: 216.7, pp100: 141.1 },
+    DT:   { stars: 6.716, ar: 10.33, od: 9.78, maxCombo: 74, pp: 339.6, pp100: 254.7 },
+    HDFL: { stars: 5.212, ar: 9,     od: 8,    maxCombo: 74, pp: 168.5, pp100: 124.9 },
+  },
+  stacks: {
+    NM:   { stars: 6.709, ar: 8.5,   od: 7,    maxCombo: 69, pp: 279.2, pp100: 239.8 },
+    HR:   { stars: 8.087, ar: 10,    od: 9.8,  maxCombo: 69, pp: 529.7, pp100: 439.9 },
+    DT:   { stars: 8.576, ar: 10,    od: 9.11, maxCombo: 69, pp: 605.3, pp100: 514.2 },
+    HDFL: { stars: 6.869, ar: 8.5,   od: 7,    maxCombo: 69, pp: 331.7, pp100: 287.0 },
+  },
+};
+
+const near = (actual, expected, tolerance, what) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: expected ${expected}, got ${actual}`);
+
+for (const [map, cases] of Object.entries(EXPECTED)) {
+  const text = fs.readFileSync(new URL(`./fixtures/${map}.osu`, import.meta.url), 'utf8');
+  for (const [modString, expected] of Object.entries(cases)) {
+    test(`${map}.osu ${modString}`, () => {
+      const mods = getModEnum(modString);
+      const attributes = calculateDifficulty(text, mods);
+      near(attributes.stars, expected.stars, 0.001, 'star rating');
+      near(attributes.ar, expected.ar, 0.005, 'AR');
+      near(attributes.od, expected.od, 0.005, 'OD');
+      assert.equal(attributes.maxCombo, expected.maxCombo);
+      near(calculatePerformance(attributes, { mods }).pp, expected.pp, 0.1, 'FC pp');
+      near(calculatePerformance(attributes, { mods, count100: 4, count50: 1 }).pp, expected.pp100, 0.1, 'pp with 100s');
+    });
+  }
+}
+
+test('hit counts beyond the map are capped', () => {
+  const text = fs.readFileSync(new URL('./fixtures/jumps.osu', import.meta.url), 'utf8');
+  const attributes = calculateDifficulty(text, 0);
+  const capped = calculatePerformance(attributes, { count100: 10_000 }).pp;
+  assert.ok(Number.isFinite(capped) && capped >= 0 && capped < EXPECTED.jumps.NM.pp);
+});
+
+test('other modes are rejected', () => {
+  assert.throws(() => calculateDifficulty('osu file format v14\n\n[General]\nMode: 1\n\n[HitObjects]\n'), /unsupported game mode 1/);
+});
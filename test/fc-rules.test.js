@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadFCRules, BUILTIN_PRESETS } from '../lib/fc-rules.js';
+import { getMode } from '../lib/modes.js';
+import { MOD_BITS } from '../lib/mods.js';
+
+// Writes `config` as a rules file in a fresh temporary directory
+function rulesFile(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fc-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'fc-rules.json');
+  fs.writeFileSync(filePath, typeof config === 'string' ? config : JSON.stringify(config));
+  return filePath;
+}
+
+const load = (filePath, mode = 'osu', preset = null) => loadFCRules({ filePath, preset, mode: getMode(mode), modBits: MOD_BITS });
+
+test('without a rules file the default preset applies', () => {
+  const rules = load(null);
+  assert.equal(rules.preset, 'default');
+  assert.equal(rules.source, 'built-in');
+  assert.deepEqual(rules.invalidMods, ['EZ', 'TD', 'HT', 'SO']);
+  assert.equal(rules.invalidModsMask, getMode('osu').invalidMods);
+  assert.equal(rules.forcedFCMask, MOD_BITS.SD | MOD_BITS.PF);
+  assert.equal(rules.comboSlack, BUILTIN_PRESETS.default.comboSlack);
+  assert.deepEqual(load('/nonexistent/fc-rules.json').invalidMods, ['EZ', 'TD', 'HT', 'SO']);
+});
+
+test('an extends chain merges presets, and allowMods only drops its own mods', t => {
+  const filePath = rulesFile(t, {
+    preset: 'ez-counts',
+    presets: {
+      lenient:     { extends: 'default', comboSlack: 3, scoreLimit: 100 },
+      'ez-counts': { extends: 'lenient', allowMods: ['EZ'], recentFCDays: 14, modes: { taiko: { allowMods: ['EZ', 'HT'] } } },
+      strict:      { extends: 'ez-counts', invalidMods: ['EZ', 'NF', 'HT'], validRanks: ['X', 'XH'] },
+    },
+  });
+
+  const osu = load(filePath);
+  assert.equal(osu.preset, 'ez-counts');
+  assert.equal(osu.source, 'fc-rules.json');
+  assert.equal(osu.comboSlack, 3);
+  assert.equal(osu.scoreLimit, 100);
+  assert.equal(osu.recentFCDays, 14);
+  assert.deepEqual(osu.validRanks, BUILTIN_PRESETS.default.validRanks);
+  // The mode's defaults without EZ
+  assert.deepEqual(osu.invalidMods, ['TD', 'HT', 'SO']);
+  assert.equal(osu.invalidModsMask, getMode('osu').invalidMods & ~MOD_BITS.EZ);
+
+  // Per-mode overrides replace the inherited value
+  assert.deepEqual(load(filePath, 'taiko').invalidMods, []);
+  assert.deepEqual(load(filePath, 'catch').invalidMods, ['HT']);
+
+  // An explicit invalidMods further down the chain still loses the allowed mods
+  const strict = load(filePath, 'osu', 'strict');
+  assert.equal(strict.preset, 'strict');
+  assert.deepEqual(strict.invalidMods, ['NF', 'HT']);
+  assert.deepEqual(strict.validRanks, ['X', 'XH']);
+  assert.equal(strict.comboSlack, 3);
+});
+
+test('every problem in a rules file is reported', t => {
+  const filePath = rulesFile(t, {
+    preset: 7,
+    extra: true,
+    presets: {
+      default: { comboSlack: 2 },
+      broken: {
+        extends: ['default'],
+        invalidMods: 'EZ',
+        allowMods: ['EZ', 'XX'],
+        forcedFCMods: null,
+        validRanks: ['S', 'Z'],
+        comboSlack: -1,
+        recentFCDays: 1.5,
+        scoreLimit: 101,
+        colour: 'red',
+        modes: { osu: { extends: 'default', scoreLimit: 0 }, std: {} },
+      },
+    },
+  });
+  assert.throws(() => load(filePath), err => {
+    assert.equal(err.message, [
+      `FC rules in ${filePath} are invalid:`,
+      'extra: unknown setting (expected preset, presets)',
+      'preset: expected a preset name',
+      'presets.default: built-in presets can\'t be redefined; extend it instead',
+      'presets.broken.extends: expected a preset name',
+      'presets.broken.invalidMods: expected a list of mod acronyms',
+      'presets.broken.allowMods: unknown mod "XX"',
+      'presets.broken.forcedFCMods: expected a list of mod acronyms',
+      'presets.broken.validRanks: unknown rank "Z" (expected D, C, B, A, S, SH, X, XH)',
+      'presets.broken.comboSlack: expected a non-negative integer',
+      'presets.broken.recentFCDays: expected a non-negative integer',
+      'presets.broken.scoreLimit: expected an integer from 1 to 100',
+      'presets.broken.colour: unknown setting (expected extends, modes, invalidMods, allowMods, comboSlack, validRanks, forcedFCMods, scoreLimit, recentFCDays)',
+      'presets.broken.modes.osu: only rules can be overridden per mode',
+      'presets.broken.modes.osu.scoreLimit: expected an integer from 1 to 100',
+      'presets.broken.modes.std: unknown mode (expected osu, taiko, catch, mania)',
+    ].join('\n  '));
+    return true;
+  });
+});
+
+test('unparseable files, unknown presets and extends cycles are rejected', t => {
+  const garbled = rulesFile(t, '{ "preset": ');
+  assert.throws(() => load(garbled), new RegExp(`^Error: FC rules: could not parse ${garbled.replace(/[.\\]/g, '\\$&')}: `));
+
+  const filePath = rulesFile(t, {
+    presets: {
+      a: { extends: 'b' },
+      b: { extends: 'a' },
+      orphan: { extends: 'missing' },
+    },
+  });
+  assert.throws(() => load(filePath, 'osu', 'nope'), { message: 'FC rules: unknown preset "nope" (available: default, a, b, orphan)' });
+  assert.throws(() => load(filePath, 'osu', 'orphan'), { message: 'FC rules: unknown preset "missing" (available: default, a, b, orphan)' });
+  assert.throws(() => load(filePath, 'osu', 'a'), { message: 'FC rules: preset "a" extends itself (a → b → a)' });
+});
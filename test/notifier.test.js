@@ -0,0 +1,155 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createNotifier } from '../lib/notifier.js';
+
+// A webhook endpoint on a local port. `replies` are the statuses (and headers)
+// of the first requests, in order; later requests get 204.
+async function startServer(t, replies = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body), at: Date.now() });
+      const reply = replies.shift() || { status: 204 };
+      res.writeHead(reply.status, reply.headers).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const url = path => `http://127.0.0.1:${server.address().port}${path}`;
+  return { requests, url };
+}
+
+const beatmap = {
+  id: 75, title: 'Artist - Title [Insane]', url: 'https://osu.ppy.sh/b/75', cover: 'https://assets.ppy.sh/beatmaps/1/covers/cover.jpg',
+  stars: 5.25, player: { id: 2, name: 'peppy', url: 'https://osu.ppy.sh/users/2' }, mods: 'HDHR',
+};
+
+test('an fc event becomes a Discord embed', async t => {
+  const { requests, url } = await startServer(t);
+  const notifier = createNotifier({ targets: [{ type: 'discord', url: url('/api/webhooks/1/secret') }] });
+  notifier.notify({ type: 'fc', mode: 'osu', category: 'DT', beatmap, daysToFC: 412 });
+  await notifier.flush();
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].path, '/api/webhooks/1/secret');
+  assert.equal(requests[0].contentType, 'application/json');
+  assert.deepEqual(requests[0].body, {
+    embeds: [{
+      title: beatmap.title,
+      url: beatmap.url,
+      description: 'FC\'d by **[peppy](https://osu.ppy.sh/users/2)** (HDHR) after **412 days** and moved to History.',
+      image: { url: beatmap.cover },
+      color: 0x2ecc71,
+      footer: { text: 'DT list' },
+    }],
+  });
+});
+
+test('JSON targets get the event as it is', async t => {
+  const { requests, url } = await startServer(t);
+  const notifier = createNotifier({ targets: [{ type: 'json', url: url('/hook') }] });
+  notifier.notify({ type: 'failed', mode: 'osu', category: null, command: 'refresh', error: 'boom' });
+  await notifier.flush();
+
+  assert.equal(requests.length, 1);
+  const { timestamp, ...event } = requests[0].body;
+  assert.deepEqual(event, { type: 'failed', mode: 'osu', category: null, command: 'refresh', error: 'boom' });
+  assert.ok(!isNaN(Date.parse(timestamp)));
+});
+
+test('a digest holds events until flush and sends them as one message', async t => {
+  const { requests, url } = await startServer(t);
+  const notifier = createNotifier({
+    targets: [{ type: 'discord', url: url('/discord') }, { type: 'json', url: url('/json') }],
+    digest: true,
+    digestTitle: 'osu!: refresh',
+  });
+  notifier.notify({ type: 'fc', mode: 'osu', category: null, beatmap, daysToFC: 30 });
+  notifier.notify({ type: 'added', mode: 'osu', category: null, maps: [beatmap] });
+  notifier.notify({ type: 'failed', mode: 'osu', category: null, command: 'move-fcs', error: 'sheet locked' });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(requests.length, 0);
+
+  await notifier.flush();
+  assert.equal(requests.length, 2);
+  const discord = requests.find(r => r.path === '/discord').body;
+  assert.equal(discord.embeds.length, 1);
+  assert.equal(discord.embeds[0].title, 'osu!: refresh');
+  assert.equal(discord.embeds[0].description, [
+    '**FC\'d**',
+    '[Artist - Title [Insane]](https://osu.ppy.sh/b/75) — [peppy](https://osu.ppy.sh/users/2) (HDHR) after 30 days',
+    '',
+    '**Added**',
+    '[Artist - Title [Insane]](https://osu.ppy.sh/b/75) (5.25★)',
+    '',
+    '**Failures**',
+    '`move-fcs` failed: sheet locked',
+  ].join('\n'));
+  const json = requests.find(r => r.path === '/json').body;
+  assert.equal(json.type, 'digest');
+  assert.equal(json.title, 'osu!: refresh');
+  assert.deepEqual(json.events.map(e => e.type), ['fc', 'added', 'failed']);
+
+  // Nothing left for the next flush
+  await notifier.flush();
+  assert.equal(requests.length, 2);
+});
+
+test('server errors are retried with exponential backoff', async t => {
+  const { requests, url } = await startServer(t, [{ status: 500 }, { status: 502 }, { status: 503 }]);
+  const notifier = createNotifier({ targets: [{ type: 'json', url: url('/hook') }], retryBaseMs: 40 });
+  notifier.notify({ type: 'failed', mode: 'osu', category: null, command: 'refresh', error: 'boom' });
+  await notifier.flush();
+
+  assert.equal(requests.length, 4);
+  const gaps = requests.slice(1).map((r, i) => r.at - requests[i].at);
+  assert.ok(gaps[0] >= 40 && gaps[1] >= 80 && gaps[2] >= 160, `gaps ${gaps.join(', ')}`);
+  assert.deepEqual(requests[3].body, requests[0].body);
+});
+
+test('a 429 waits for Retry-After', async t => {
+  const { requests, url } = await startServer(t, [{ status: 429, headers: { 'Retry-After': '0.1' } }]);
+  const notifier = createNotifier({ targets: [{ type: 'json', url: url('/hook') }], retryBaseMs: 60_000 });
+  notifier.notify({ type: 'failed', mode: 'osu', category: null, command: 'refresh', error: 'boom' });
+  await notifier.flush();
+
+  assert.equal(requests.length, 2);
+  const gap = requests[1].at - requests[0].at;
+  assert.ok(gap >= 100 && gap < 5000, `gap ${gap}`);
+});
+
+test('failures are logged without the webhook token, never thrown', async t => {
+  const errors = mock.method(console, 'error', () => {});
+  t.after(() => errors.mock.restore());
+  const { requests, url } = await startServer(t, Array(5).fill({ status: 500 }).concat([{ status: 400 }]));
+  const target = url('/api/webhooks/1/secret');
+
+  const retried = createNotifier({ targets: [{ type: 'discord', url: target }], retryBaseMs: 1 });
+  retried.notify({ type: 'failed', mode: 'osu', category: null, command: 'refresh', error: 'boom' });
+  await retried.flush();
+  assert.equal(requests.length, 5);
+
+  // A bad request is not retried
+  const rejected = createNotifier({ targets: [{ type: 'discord', url: target }], retryBaseMs: 1 });
+  rejected.notify({ type: 'failed', mode: 'osu', category: null, command: 'refresh', error: 'boom' });
+  await rejected.flush();
+  assert.equal(requests.length, 6);
+
+  const messages = errors.mock.calls.map(call => call.arguments.join(' '));
+  assert.deepEqual(messages, [
+    `Notification to discord webhook at ${new URL(target).host} failed: HTTP 500`,
+    `Notification to discord webhook at ${new URL(target).host} failed: HTTP 400`,
+  ]);
+});
+
+test('without targets nothing is sent', async () => {
+  const fetchImpl = mock.fn();
+  const notifier = createNotifier({ fetchImpl });
+  assert.equal(notifier.enabled, false);
+  notifier.notify({ type: 'failed', mode: 'osu', category: null, command: 'refresh', error: 'boom' });
+  await notifier.flush();
+  assert.equal(fetchImpl.mock.callCount(), 0);
+});
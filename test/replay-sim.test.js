@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import { verifyReplay, simulateReplay } from '../lib/replay-sim.js';
+import { parseOsr, decodeFrames } from '../lib/replay.js';
+
+// replay-sim.osu has three circles, a slider with one tick, a circle, a
+// spinner and a last circle: 9 combo. The replays click every object on time:
+// fc and hr (HR, positions flipped) hold through the slider and spin 7.8
+// rotations a second; slider-break lets go before the tick; hr-unflipped is
+// fc's cursor path played with HR; dt-spinner spins 11.5 a second for 1.15 s,
+// too fast for a spinner at normal speed.
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const beatmapPath = fixture('replay-sim.osu');
+const beatmapText = fs.readFileSync(beatmapPath, 'utf8');
+const replay = name => fs.readFileSync(fixture(`replays/${name}.osr`));
+
+const EXPECTED = {
+  'fc':           { is_fc: true,  current_combo: 9, max_combo: 9 },
+  'slider-break': { is_fc: false, current_combo: 3, max_combo: 4 },
+  'hr':           { is_fc: true,  current_combo: 9, max_combo: 9 },
+  'dt-spinner':   { is_fc: true,  current_combo: 9, max_combo: 9 },
+};
+
+for (const [name, expected] of Object.entries(EXPECTED)) {
+  test(`${name}.osr`, () => {
+    assert.deepEqual(verifyReplay(beatmapText, replay(name)), expected);
+  });
+}
+
+test('a slider break is not counted as a miss', () => {
+  const osr = parseOsr(replay('slider-break'));
+  const result = simulateReplay(beatmapText, decodeFrames(osr.replayData), osr.mods);
+  assert.equal(result.misses, 0);
+  assert.equal(result.slider_breaks, 1);
+});
+
+test('HR flips the map', () => {
+  const osr = parseOsr(replay('hr'));
+  assert.equal(simulateReplay(beatmapText, decodeFrames(osr.replayData), 0).is_fc, false);
+  assert.match(verifyReplay(beatmapText, replay('hr-unflipped')).error, /simulation disagrees with score: 5 miss\(es\) simulated, 0 recorded/);
+});
+
+test('DT allows faster spins in map time', () => {
+  const osr = parseOsr(replay('dt-spinner'));
+  const result = simulateReplay(beatmapText, decodeFrames(osr.replayData), 0);
+  assert.equal(result.misses, 1);
+  assert.equal(result.max_combo, 7);
+});
+
+test('broken replays come back as errors', () => {
+  assert.match(verifyReplay(beatmapText, Buffer.from([0, 1, 2])).error, /^replay simulation failed: /);
+  const taiko = Buffer.from(replay('fc'));
+  taiko[0] = 1;
+  assert.deepEqual(verifyReplay(beatmapText, taiko), { error: 'unsupported game mode 1' });
+});
+
+test('the worker verifies like verifyReplay', async () => {
+  const worker = new Worker(new URL('../lib/replay-sim-worker.js', import.meta.url), {
+    workerData: { beatmapPath, replayPath: fixture('replays/slider-break.osr') },
+  });
+  const result = await new Promise((resolve, reject) => {
+    worker.once('message', resolve);
+    worker.once('error', reject);
+  });
+  assert.deepEqual(result, EXPECTED['slider-break']);
+});